@@ -9,237 +9,3418 @@ const observerConfig = {
   childList: true,
 };
 
+// Registry that owns each attached root (document, element or shadow root)
+const scopes = new WeakMap();
+
+// Internal state of each public registry object
 const registries = new WeakMap();
 
+// Registries attached by registerAttribute, detached again once they are empty
+const implicitRegistries = new WeakSet();
+
+// Registries that follow attributes into shadow roots
+const shadowRegistries = new Set();
+
+// Marks hosts rendered ahead of time, either empty or a JSON object of attribute names to render state
+const hydrationAttribute = "data-ca-hydrated";
+
+// Lists the attributes that failed on a host in dev mode
+const errorAttribute = "data-ca-error";
+
+// Elements that register attributes from markup
+const manifestSelector =
+  'script[type="custom-attributes"], custom-attribute-definition';
+
+// Manifest elements that have been read, so moving one doesn't register its attributes again
+const readManifests = new WeakSet();
+
+// Attribute names that have already been hydrated per host, so later connects run as usual
+const hydratedNames = new WeakMap();
+
+// Lifecycle state per instance: the controller behind its signal and the tail of its queued callbacks
+const lifecycles = new WeakMap();
+
+// Reactive properties per class, including the inherited ones
+const classProperties = new WeakMap();
+
+// Names of the marker attributes that reflect instance states, per host. Their mutation records are ignored
+const reflectedAttributes = new WeakMap();
+
+// Custom validity messages per form control host, by instance. The first non-empty message is shown
+const validityMessages = new WeakMap();
+
+// Parsed `static events` maps per class
+const parsedEvents = new WeakMap();
+
+// Number of delegating instances per root and event type, the root listener is removed once it drops to zero
+const delegatedEvents = new WeakMap();
+
+// Events that don't bubble and are therefore never delegated
+const nonBubblingEvents = new Set([
+  "blur",
+  "focus",
+  "load",
+  "mouseenter",
+  "mouseleave",
+  "pointerenter",
+  "pointerleave",
+  "scroll",
+]);
+
+// Keyboard modifiers in event keys like "keydown.ctrl.s"
+const modifierKeys = ["ctrl", "shift", "alt", "meta"];
+
+// Shorthands for `KeyboardEvent.key` values in event keys like "keydown.esc"
+const keyAliases = {
+  space: " ",
+  esc: "escape",
+  up: "arrowup",
+  down: "arrowdown",
+  left: "arrowleft",
+  right: "arrowright",
+};
+
+// Start and following characters of XML names, see https://www.w3.org/TR/xml/#NT-Name
+const nameStartChar =
+  ":A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\u{10000}-\\u{EFFFF}";
+const xmlName = new RegExp(
+  `^[${nameStartChar}][${nameStartChar}\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*$`,
+  "u"
+);
+
+// Standard attributes that custom attribute names should not clash with. Names without a dash or colon
+// are reported anyway, so only global HTML attributes are listed besides the dashed HTML and SVG ones
+const standardAttributes = new Set([
+  // Global HTML attributes
+  "accesskey",
+  "autocapitalize",
+  "autofocus",
+  "class",
+  "contenteditable",
+  "dir",
+  "draggable",
+  "enterkeyhint",
+  "hidden",
+  "id",
+  "inert",
+  "inputmode",
+  "is",
+  "itemid",
+  "itemprop",
+  "itemref",
+  "itemscope",
+  "itemtype",
+  "lang",
+  "nonce",
+  "part",
+  "popover",
+  "role",
+  "slot",
+  "spellcheck",
+  "style",
+  "tabindex",
+  "title",
+  "translate",
+  // Dashed HTML attributes
+  "accept-charset",
+  "http-equiv",
+  // Dashed SVG attributes
+  "alignment-baseline",
+  "baseline-shift",
+  "clip-path",
+  "clip-rule",
+  "color-interpolation",
+  "color-interpolation-filters",
+  "color-rendering",
+  "dominant-baseline",
+  "fill-opacity",
+  "fill-rule",
+  "flood-color",
+  "flood-opacity",
+  "font-family",
+  "font-size",
+  "font-size-adjust",
+  "font-stretch",
+  "font-style",
+  "font-variant",
+  "font-weight",
+  "glyph-orientation-horizontal",
+  "glyph-orientation-vertical",
+  "image-rendering",
+  "letter-spacing",
+  "lighting-color",
+  "marker-end",
+  "marker-mid",
+  "marker-start",
+  "paint-order",
+  "pointer-events",
+  "shape-rendering",
+  "stop-color",
+  "stop-opacity",
+  "stroke-dasharray",
+  "stroke-dashoffset",
+  "stroke-linecap",
+  "stroke-linejoin",
+  "stroke-miterlimit",
+  "stroke-opacity",
+  "stroke-width",
+  "text-anchor",
+  "text-decoration",
+  "text-rendering",
+  "transform-origin",
+  "unicode-bidi",
+  "vector-effect",
+  "word-spacing",
+  "writing-mode",
+]);
+
+// Prefixes of standard attribute families
+const standardPrefixes = ["aria-", "xml:", "xmlns:", "xlink:"];
+
+// Events that upgrade hosts with the "interaction" strategy
+const interactionEvents = ["pointerover", "pointerdown", "focusin"];
+
+// Shared intersection observer per window for the "visible" strategy
+const intersectionObservers = new WeakMap();
+
+// Windows whose `Element.prototype.attachShadow` has been wrapped
+const patchedWindows = new WeakSet();
+
+/**
+ * Whether a node is an element, independent of the realm or DOM implementation it comes from
+ *
+ * @param {Node} node
+ *
+ * @return {boolean}
+ */
+function isElement(node) {
+  return node?.nodeType === 1;
+}
+
+/**
+ * Whether a node is a shadow root, independent of the realm or DOM implementation it comes from
+ *
+ * @param {Node} node
+ *
+ * @return {boolean}
+ */
+function isShadowRoot(node) {
+  return node?.nodeType === 11 && "host" in node;
+}
+
+/**
+ * Whether a node is a document, independent of the realm or DOM implementation it comes from
+ *
+ * @param {Node} node
+ *
+ * @return {boolean}
+ */
+function isDocument(node) {
+  return node?.nodeType === 9;
+}
+
+/**
+ * @typedef {Object} Converter
+ * @property {(value: string|null) => any} fromAttribute Parse an attribute value, throws on invalid input
+ * @property {(value: any) => string|null} toAttribute Serialize a value, null removes the attribute
+ */
+
+/**
+ * Built-in converters for `static type`
+ *
+ * @type {Map<Function|Object, Converter>}
+ */
+const converters = new Map([
+  [
+    String,
+    {
+      fromAttribute: (value) => value,
+      toAttribute: (value) => (value === null ? null : String(value)),
+    },
+  ],
+  [
+    Boolean,
+    {
+      fromAttribute: (value) => value !== null && value !== "false",
+      toAttribute: (value) => (value ? "" : "false"),
+    },
+  ],
+  [
+    Number,
+    {
+      fromAttribute: (value) => {
+        const number = Number(value);
+        if (value === null || value.trim() === "" || Number.isNaN(number)) {
+          throw new TypeError(`Can't parse "${value}" as a number`);
+        }
+        return number;
+      },
+      toAttribute: (value) => String(value),
+    },
+  ],
+  [
+    JSON,
+    {
+      fromAttribute: (value) => JSON.parse(value),
+      toAttribute: (value) => JSON.stringify(value),
+    },
+  ],
+  [
+    Array,
+    {
+      fromAttribute: (value) => (value ?? "").split(/\s+/).filter(Boolean),
+      toAttribute: (value) => value.join(" "),
+    },
+  ],
+]);
+
+/**
+ * Get the converter for a `static type` declaration
+ *
+ * @param {Function|Converter} type String, Boolean, Number, JSON, Array or a custom converter
+ *
+ * @return {Converter|undefined}
+ */
+function converterFor(type) {
+  if (typeof type?.fromAttribute === "function") {
+    return type;
+  }
+  return converters.get(type);
+}
+
+/**
+ * Base class of the errors thrown by this library. `code` identifies the failure independent of the message
+ */
+export class CustomAttributeError extends Error {
+  name = "CustomAttributeError";
+
+  /**
+   * @param {string} code Stable identifier like "DUPLICATE_DEFINITION"
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Thrown for attribute names that are invalid ("INVALID_NAME") or, in strict mode, clash with standard
+ * attributes ("RESERVED_NAME")
+ */
+export class AttributeNameError extends CustomAttributeError {
+  name = "AttributeNameError";
+}
+
+/**
+ * Thrown for arguments of the wrong kind, like a root that is not a node or a class that doesn't extend
+ * CustomAttribute
+ */
+export class InvalidArgumentError extends CustomAttributeError {
+  name = "InvalidArgumentError";
+}
+
+/**
+ * Thrown when a name is defined twice in the same registry ("DUPLICATE_DEFINITION")
+ */
+export class DuplicateDefinitionError extends CustomAttributeError {
+  name = "DuplicateDefinitionError";
+}
+
+/**
+ * Extend from this class to create a custom attribute observer
+ *
+ * Lifecycle callbacks may return a promise. The following callbacks of the same instance wait until it has
+ * settled, so they always run in order.
+ */
+export class CustomAttribute {
+  /**
+   * Other attributes of the host to observe, see `hostAttributeChangedCallback`
+   *
+   * @type {string[]}
+   */
+  static observedAttributes = [];
+
+  /**
+   * How the attribute value is parsed and serialized: String, Boolean, Number, JSON, Array (whitespace
+   * separated tokens) or a custom `{ fromAttribute, toAttribute }` converter
+   *
+   * @type {Function|Converter}
+   */
+  static type = String;
+
+  /**
+   * Event listeners bound while connected, mapping event keys to method names. Keys are an event type,
+   * optionally prefixed with the target ("window:" or "document:", the host by default) and followed by
+   * key filters, e.g. `{ click: "onClick", "keydown.enter": "onEnter", "window:resize": "onResize" }`
+   *
+   * @type {Object<string, string>}
+   */
+  static events = {};
+
+  /**
+   * Handle host events of `static events` through one listener per event type on the root node instead
+   * of one listener per host. Events that don't bubble are still bound to the host
+   *
+   * @type {boolean}
+   */
+  static delegateEvents = false;
+
+  /**
+   * Reactive properties by name. Setting one requests an update, see `updatedCallback`. Options:
+   * `default` is returned until the property is set
+   *
+   * @type {Object<string, {default?: any}>}
+   */
+  static properties = {};
+
+  /**
+   * How `states` are reflected to the host: "attribute" or "class", both named `${name}-${state}`
+   *
+   * @type {"attribute"|"class"}
+   */
+  static reflectStates = "attribute";
+
+  #host;
+  #name;
+  #argument;
+
+  /**
+   * Render markup for a host ahead of time, e.g. on the server. Runs without an instance, see
+   * `CustomAttributeRegistry.render`
+   *
+   * @param {HTMLElement} _host Host element
+   * @param {any} _value Parsed attribute value
+   *
+   * @return {any} JSON serializable state, passed to `hydratedCallback` in the browser
+   */
+  static render(_host, _value) {
+    // console.log("native render");
+  }
+
+  /**
+   * Get the host element that has the custom attribute
+   *
+   * @return  {HTMLElement}
+   */
+  get host() {
+    return this.#host;
+  }
+
+  /**
+   * Get the attribute value, parsed according to `static type`. Throws if the value can't be parsed
+   *
+   * @return  {any}  Attribute value
+   */
+  get value() {
+    return converterFor(this.constructor.type).fromAttribute(
+      this.#host.getAttribute(this.#name)
+    );
+  }
+
+  /**
+   * Serialize a value according to `static type` and write it to the host attribute
+   *
+   * @param {any} value New value, serializing to null removes the attribute
+   */
+  set value(value) {
+    const attribute = converterFor(this.constructor.type).toAttribute(value);
+    if (attribute === null) {
+      this.#host.removeAttribute(this.#name);
+    } else {
+      this.#host.setAttribute(this.#name, attribute);
+    }
+  }
+
+  /**
+   * Attribute name
+   *
+   * @return {string}
+   */
+  get name() {
+    return this.#name;
+  }
+
+  /**
+   * Part of the attribute name matched by the `*` of a pattern definition, e.g. "click" for `on:click`
+   * defined as `on:*`
+   *
+   * @return {string|null} Null for attributes defined by their literal name
+   */
+  get argument() {
+    return this.#argument;
+  }
+
+  /**
+   * Signal that aborts when the instance gets disconnected. Pass it to fetches and `addEventListener` to
+   * cancel in-flight work and remove listeners automatically
+   *
+   * @return {AbortSignal}
+   */
+  get signal() {
+    return lifecycleOf(this).controller.signal;
+  }
+
+  /**
+   * States of the instance, reflected to the host as marker attributes or classes for styling, e.g.
+   * `[sticky-header-stuck]`. Removed again on disconnect
+   *
+   * @return {Set<string>}
+   */
+  get states() {
+    const lifecycle = lifecycleOf(this);
+    lifecycle.states ??= new ReflectedStates(this);
+    return lifecycle.states;
+  }
+
+  /**
+   * CSS custom properties set on the host's inline style, e.g. `this.cssVars.set("--progress", 0.4)`.
+   * Previous inline values are restored on disconnect
+   *
+   * @return {Map<string, any>}
+   */
+  get cssVars() {
+    const lifecycle = lifecycleOf(this);
+    lifecycle.cssVars ??= new ReflectedCssVars(this);
+    return lifecycle.cssVars;
+  }
+
+  /**
+   * Form the host belongs to: the form owner of form controls, the closest form for other elements
+   *
+   * @return {HTMLFormElement|null}
+   */
+  get form() {
+    return formOf(this.#host);
+  }
+
+  /**
+   * Set a custom validity message on the host, which has to be a form control. An empty message marks it
+   * valid again. Messages of several attributes on one host are combined, the first one is shown. Cleared on
+   * disconnect
+   *
+   * @param {string} message
+   *
+   * @return {void}
+   */
+  setValidity(message) {
+    const host = this.#host;
+    if (typeof host.setCustomValidity !== "function") {
+      throw new CustomAttributeError(
+        "INVALID_HOST",
+        `CustomAttribute.setValidity: expected the host of "${
+          this.#name
+        }" to be a form control but received ${host}`
+      );
+    }
+    if (this.signal.aborted) {
+      return;
+    }
+    let messages = validityMessages.get(host);
+    if (!messages) {
+      messages = new Map();
+      validityMessages.set(host, messages);
+    }
+    if (!messages.has(this)) {
+      this.signal.addEventListener(
+        "abort",
+        () => {
+          messages.delete(this);
+          applyValidity(host);
+        },
+        { once: true }
+      );
+    }
+    messages.set(this, message ?? "");
+    applyValidity(host);
+  }
+
+  /**
+   * Register a new custom attribute
+   *
+   * @param   {string}  name  Custom attribute name
+   * @param   {HTMLElement}  host  Host element
+   * @param   {string|null}  [argument]  Part of the name matched by a pattern definition
+   *
+   * @return  {void}
+   */
+  constructor(name, host, argument = null) {
+    this.#host = host;
+    this.#name = name;
+    this.#argument = argument;
+    propertiesOf(this.constructor);
+  }
+
+  /**
+   * Schedule a call to `updatedCallback`. Requests and attribute value changes of the same task are batched
+   * into one update
+   *
+   * @param {string} [name] Name of the changed property
+   * @param {any} [oldValue] Value of the property before the change
+   *
+   * @return {void}
+   */
+  requestUpdate(name, oldValue) {
+    const lifecycle = lifecycleOf(this);
+    if (!lifecycle.changed) {
+      const changed = new Map();
+      lifecycle.changed = changed;
+      const update = () => {
+        lifecycle.changed = null;
+        enqueue(this, "updated", () => {
+          if (!this.signal.aborted) {
+            return this.updatedCallback(changed);
+          }
+        });
+      };
+      // Skip a microtask so attribute changes of the same task reach the mutation observer first and join the batch
+      queueMicrotask(() => queueMicrotask(update));
+    }
+    if (name !== undefined && !lifecycle.changed.has(name)) {
+      lifecycle.changed.set(name, oldValue);
+    }
+  }
+
+  /**
+   * Add an event listener that is removed once the instance gets disconnected. The handler is called with
+   * the instance as `this`, the type may carry key filters like "keydown.enter". Errors thrown by the handler
+   * go to `errorCallback`
+   *
+   * @param {EventTarget} target Host, window, document or any other event target
+   * @param {string} type Event type
+   * @param {(event: Event) => void} handler
+   * @param {AddEventListenerOptions} [options]
+   *
+   * @return {() => void} Removes the listener
+   */
+  listen(target, type, handler, options = {}) {
+    const { type: eventType, matches } = parseEventKey(type);
+    const listener = (event) => {
+      if (!matches(event)) {
+        return;
+      }
+      callHandler(this, "event", () => handler.call(this, event));
+    };
+    const remove = () =>
+      target.removeEventListener(eventType, listener, options);
+    target.addEventListener(eventType, listener, {
+      ...options,
+      signal: this.signal,
+    });
+    options.signal?.addEventListener("abort", remove, { once: true });
+    return remove;
+  }
+
+  /**
+   * Find the closest instance of an attribute on the host or one of its ancestors
+   *
+   * @param {string} name Attribute name
+   *
+   * @return {CustomAttribute|null}
+   */
+  closest(name) {
+    for (let element = this.#host; element; element = element.parentElement) {
+      const instance = getAttributeInstance(element, name);
+      if (instance) {
+        return instance;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find all instances of an attribute on descendants of the host, in document order
+   *
+   * @param {string} name Attribute name
+   *
+   * @return {CustomAttribute[]}
+   */
+  queryAll(name) {
+    return [...this.#host.querySelectorAll(selectorFor([name]))]
+      .map((element) => getAttributeInstance(element, name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Callback when attribute is first seen in DOM. Will also be called on the initial pass after registering a custom attribute if it already exists
+   *
+   * @param {any} _value Parsed attribute value, undefined if it can't be parsed
+   *
+   * @return {void|Promise<void>}
+   */
+  connectedCallback(_value) {
+    // console.log("native created");
+  }
+
+  /**
+   * Callback instead of `connectedCallback` for hosts that have been rendered ahead of time, marked with a
+   * `data-ca-hydrated` attribute. Calls `connectedCallback` unless overridden
+   *
+   * @param {any} _state State returned by `static render`, undefined if there is none
+   *
+   * @return {void|Promise<void>}
+   */
+  hydratedCallback(_state) {
+    return this.connectedCallback(
+      parseValue(this, this.#host.getAttribute(this.#name))
+    );
+  }
+
+  /**
+   * Callback for attribute value changes
+   *
+   * @param {any} _newValue  New parsed value, undefined if it can't be parsed
+   * @param {any} _oldValue  Old parsed value, undefined if it can't be parsed
+   *
+   * @return {void|Promise<void>}
+   */
+  changedCallback(_newValue, _oldValue) {
+    // console.log("native changed");
+  }
+
+  /**
+   * Callback for a batch of updates, once after connecting and after property or attribute value changes
+   *
+   * @param {Map<string, any>} _changedProperties Previous values of the changed properties, the attribute
+   * value is listed as "value"
+   *
+   * @return {void|Promise<void>}
+   */
+  updatedCallback(_changedProperties) {
+    // console.log("native updated");
+  }
+
+  /**
+   * Callback for changes to one of the host attributes listed in `static observedAttributes`
+   *
+   * @param {string} _name  Name of the host attribute
+   * @param {string|null} _newValue  New value, null if the attribute was removed
+   * @param {string|null} _oldValue  Old value, null if the attribute was added
+   *
+   * @return {void|Promise<void>}
+   */
+  hostAttributeChangedCallback(_name, _newValue, _oldValue) {
+    // console.log("native host attribute changed");
+  }
+
+  /**
+   * Callback for when the host is moved within the scope of its registry, e.g. by `before()` or `moveBefore()`.
+   * Called instead of disconnecting and connecting again. Hosts inside a moved subtree receive the parents of
+   * the moved node
+   *
+   * @param {Node} _oldParent Parent the node was removed from
+   * @param {Node} _newParent Parent the node was inserted into
+   *
+   * @return {void|Promise<void>}
+   */
+  movedCallback(_oldParent, _newParent) {
+    // console.log("native moved");
+  }
+
+  /**
+   * Callback for when the host is moved into another document, e.g. a same-origin iframe. The instance is
+   * handed over to the registry of the new document instead of disconnecting. `static events` are bound to
+   * the new document, listeners added with `listen` have to be moved by the callback
+   *
+   * @param {Document} _oldDocument
+   * @param {Document} _newDocument
+   *
+   * @return {void|Promise<void>}
+   */
+  adoptedCallback(_oldDocument, _newDocument) {
+    // console.log("native adopted");
+  }
+
+  /**
+   * Callback for when the form of the host has been reset, after its controls got their default values.
+   * Only listened for if overridden
+   *
+   * @return {void|Promise<void>}
+   */
+  formResetCallback() {
+    // console.log("native form reset");
+  }
+
+  /**
+   * Callback for the `formdata` event of the form of the host, to add entries to the submitted data. Runs
+   * synchronously. Only listened for if overridden
+   *
+   * @param {FormData} _formData
+   *
+   * @return {void}
+   */
+  formDataCallback(_formData) {
+    // console.log("native form data");
+  }
+
+  /**
+   * Callback for when attribute gets removed or the host element gets removed from DOM. Runs after `signal`
+   * has been aborted and once the previous callbacks have settled
+   *
+   * @return {void|Promise<void>}
+   */
+  disconnectedCallback() {
+    // console.log("native removed");
+  }
+
+  /**
+   * Callback for errors of this instance: lifecycle callbacks that throw or reject, event handlers, and
+   * attribute values that can't be parsed. Rejections caused by aborting `signal` are ignored. Errors are
+   * passed on to the `onError` hook of the registry afterwards
+   *
+   * @param {Error} error
+   * @param {ErrorPhase} phase Where the error occurred
+   *
+   * @return {void}
+   */
+  errorCallback(error, phase) {
+    console.error(error);
+  }
+}
+
+/**
+ * States of an instance, reflected to its host while connected
+ */
+class ReflectedStates extends Set {
+  /** @type {CustomAttribute} */
+  #cls;
+
+  /**
+   * @param {CustomAttribute} cls
+   */
+  constructor(cls) {
+    super();
+    this.#cls = cls;
+    cls.signal.addEventListener("abort", () => this.clear(), { once: true });
+  }
+
+  /**
+   * @param {string} state
+   *
+   * @return {this}
+   */
+  add(state) {
+    if (!this.has(state) && !this.#cls.signal.aborted) {
+      super.add(state);
+      this.#reflect(state, true);
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} state
+   *
+   * @return {boolean}
+   */
+  delete(state) {
+    const deleted = super.delete(state);
+    if (deleted) {
+      this.#reflect(state, false);
+    }
+    return deleted;
+  }
+
+  /**
+   * @return {void}
+   */
+  clear() {
+    for (const state of [...this]) {
+      this.delete(state);
+    }
+  }
+
+  /**
+   * Toggle the marker of a state on the host
+   *
+   * Removed marker attributes are forgotten once the mutation records of the removal have been delivered, so
+   * the attribute counts as authored again when something else sets it later.
+   *
+   * @param {string} state
+   * @param {boolean} force
+   *
+   * @return {void}
+   */
+  #reflect(state, force) {
+    const { host, name } = this.#cls;
+    const marker = `${name}-${state}`;
+    if (this.#cls.constructor.reflectStates === "class") {
+      host.classList.toggle(marker, force);
+      if (host.classList.length === 0) {
+        host.removeAttribute("class");
+      }
+      return;
+    }
+    let names = reflectedAttributes.get(host);
+    if (!names) {
+      names = new Set();
+      reflectedAttributes.set(host, names);
+    }
+    names.add(marker);
+    host.toggleAttribute(marker, force);
+    if (!force) {
+      queueMicrotask(() => {
+        if (!host.hasAttribute(marker)) {
+          names.delete(marker);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * CSS custom properties of an instance, set on the inline style of its host while connected
+ */
+class ReflectedCssVars extends Map {
+  /** @type {CustomAttribute} */
+  #cls;
+
+  /**
+   * Inline values from before the first change, by property name
+   *
+   * @type {Map<string, string>}
+   */
+  #originals = new Map();
+
+  /**
+   * @param {CustomAttribute} cls
+   */
+  constructor(cls) {
+    super();
+    this.#cls = cls;
+    cls.signal.addEventListener("abort", () => this.clear(), { once: true });
+  }
+
+  /**
+   * @param {string} name Custom property name, starting with "--"
+   * @param {any} value Converted to a string
+   *
+   * @return {this}
+   */
+  set(name, value) {
+    if (this.#cls.signal.aborted || Object.is(this.get(name), value)) {
+      return this;
+    }
+    const { style } = this.#cls.host;
+    if (!this.#originals.has(name)) {
+      this.#originals.set(name, style.getPropertyValue(name));
+    }
+    super.set(name, value);
+    style.setProperty(name, String(value));
+    return this;
+  }
+
+  /**
+   * Restore the inline value from before the first change
+   *
+   * @param {string} name Custom property name
+   *
+   * @return {boolean}
+   */
+  delete(name) {
+    if (!super.delete(name)) {
+      return false;
+    }
+    const { style } = this.#cls.host;
+    const original = this.#originals.get(name);
+    this.#originals.delete(name);
+    if (original) {
+      style.setProperty(name, original);
+    } else {
+      style.removeProperty(name);
+    }
+    return true;
+  }
+
+  /**
+   * @return {void}
+   */
+  clear() {
+    for (const name of [...this.keys()]) {
+      this.delete(name);
+    }
+  }
+}
+
+/**
+ * @typedef {Object} Definition
+ * @property {Registry} registry Registry the definition belongs to
+ * @property {CustomAttribute.constructor|null} customAttribute Class for the custom attribute, null until loaded
+ * @property {(() => Promise<any>)|null} loader Loads the class, e.g. `() => import("./chart.js")`
+ * @property {Promise<void>|null} loading Pending load
+ * @property {Set<{registry: Registry, element: Element, name: string}>} waiting Hosts waiting for the class to load
+ * @property {boolean} childList Whether elements below the attached roots are observed
+ * @property {boolean} shadowRoots Whether elements inside open shadow roots are observed
+ * @property {string[]} observedAttributes Host attributes the class depends on
+ * @property {UpgradeStrategy} upgrade When hosts get their instance
+ */
+
+/**
+ * "eager" upgrades right away, "idle" once the browser is idle, "visible" once the host intersects the
+ * viewport, "interaction" on the first pointer or focus event on the host and `{ media }` once the media
+ * query matches
+ *
+ * @typedef {"eager"|"idle"|"visible"|"interaction"|{media: string}} UpgradeStrategy
+ */
+
+/**
+ * Internal state of a CustomAttributeRegistry
+ *
+ * @typedef {Object} Registry
+ * @property {CustomAttributeRegistry} api Public registry object
+ * @property {Window} window Window providing the DOM implementation
+ * @property {Registry|null} parent Registry to inherit definitions from
+ * @property {Set<Registry>} children Registries inheriting from this one
+ * @property {Map<string, Definition>} definitions Own definitions by name
+ * @property {Map<string, Definition>|null} resolved Cached own and inherited definitions
+ * @property {Map<string, {promise: Promise, resolve: Function}>} pending Unresolved `whenDefined` calls
+ * @property {Set<Node>} roots Attached roots
+ * @property {MutationObserver|null} observer Single observer shared by all attributes and roots, created on first use
+ * @property {WeakMap<Element, Map<string, CustomAttribute>>} instances Live instances per host
+ * @property {WeakMap<Element, Map<string, Function>>} deferred Cancel functions of hosts waiting for their upgrade
+ * @property {Set<ShadowRoot>} shadowRoots Open shadow roots below the roots that are observed as well
+ * @property {boolean|undefined} strict Whether names clashing with standard attributes throw, inherited if undefined
+ * @property {boolean|undefined} dev Whether failed hosts are marked, inherited if undefined
+ * @property {((error: any, context: ErrorContext) => void)|undefined} onError Error hook, inherited if undefined
+ * @property {boolean} [manifests] Whether manifests added to attached documents are read, set by `watchManifests`
+ */
+
+/**
+ * Where an error occurred: a lifecycle callback ("constructor", "connected", "hydrated", "changed", "updated",
+ * "hostAttributeChanged", "moved", "adopted", "formReset", "formData", "disconnected"), an "event" handler, a
+ * value that can't be "parse"d, an invalid "hydration" marker or a lazy definition that fails to "load"
+ *
+ * @typedef {"constructor"|"connected"|"hydrated"|"changed"|"updated"|"hostAttributeChanged"|"moved"|"adopted"|"formReset"|"formData"|"disconnected"|"event"|"parse"|"hydration"|"load"} ErrorPhase
+ */
+
+/**
+ * @typedef {Object} ErrorContext
+ * @property {ErrorPhase} phase Where the error occurred
+ * @property {CustomAttribute|null} instance Failed instance, null if there is none yet
+ * @property {Element|null} host Host element, null for failed loads
+ * @property {string} name Attribute name
+ */
+
+/**
+ * Get own and inherited definitions, own definitions taking precedence
+ *
+ * @param {Registry} registry
+ *
+ * @return {Map<string, Definition>}
+ */
+function definitionsOf(registry) {
+  if (!registry.resolved) {
+    registry.resolved = new Map([
+      ...(registry.parent ? definitionsOf(registry.parent) : []),
+      ...registry.definitions,
+    ]);
+  }
+  return registry.resolved;
+}
+
+/**
+ * Find the registry whose scope a node belongs to, which is the registry attached to the closest root
+ *
+ * @param {Node} node
+ *
+ * @return {Registry|undefined}
+ */
+function ownerOf(node) {
+  for (
+    let current = node;
+    current;
+    current = current.parentNode ?? current.host
+  ) {
+    const registry = scopes.get(current);
+    if (registry) {
+      return registry;
+    }
+  }
+}
+
+/**
+ * Whether a definition name is a pattern like "on:*" or "bind-*", covering every attribute name that starts
+ * with the part before the "*"
+ *
+ * @param {string} name Definition name
+ *
+ * @return {boolean}
+ */
+function isPattern(name) {
+  return name.endsWith("*");
+}
+
+/**
+ * Whether a definition name covers an attribute name, literally or as a pattern with a non-empty suffix
+ *
+ * @param {string} name Definition name
+ * @param {string} attribute Attribute name
+ *
+ * @return {boolean}
+ */
+function matchesName(name, attribute) {
+  if (!isPattern(name)) {
+    return name === attribute;
+  }
+  return (
+    attribute.length >= name.length && attribute.startsWith(name.slice(0, -1))
+  );
+}
+
+/**
+ * Find the definition for an attribute name: its literal definition, or else the matching pattern with the
+ * longest prefix
+ *
+ * @param {Registry} registry
+ * @param {string} attribute Attribute name
+ *
+ * @return {{name: string, definition: Definition}|undefined}
+ */
+function definitionFor(registry, attribute) {
+  const definitions = definitionsOf(registry);
+  if (definitions.has(attribute) && !isPattern(attribute)) {
+    return { name: attribute, definition: definitions.get(attribute) };
+  }
+  let match;
+  for (const [name, definition] of definitions) {
+    if (
+      isPattern(name) &&
+      matchesName(name, attribute) &&
+      name.length > (match?.name.length ?? 0)
+    ) {
+      match = { name, definition };
+    }
+  }
+  return match;
+}
+
+/**
+ * (Re)start the observer with an attribute filter covering every registered name
+ *
+ * @param {Registry} registry
+ *
+ * @return {void}
+ */
+function observe(registry) {
+  const definitions = definitionsOf(registry);
+  registry.observer?.disconnect();
+  if (
+    (definitions.size === 0 && !registry.manifests) ||
+    registry.roots.size === 0
+  ) {
+    return;
+  }
+  registry.observer ??= new registry.window.MutationObserver((mutationList) =>
+    mutationHandler(registry, mutationList)
+  );
+  const attributeFilter = new Set(definitions.keys());
+  for (const definition of definitions.values()) {
+    definition.observedAttributes.forEach((name) => attributeFilter.add(name));
+  }
+  const options = {
+    ...observerConfig,
+    childList:
+      Boolean(registry.manifests) ||
+      [...definitions.values()].some((definition) => definition.childList),
+  };
+  // Patterns can't be expressed as a filter, so every attribute is observed as soon as there is one
+  if (![...definitions.keys()].some(isPattern)) {
+    options.attributeFilter = [...attributeFilter];
+  }
+  for (const root of [...registry.roots, ...registry.shadowRoots]) {
+    registry.observer.observe(root, options);
+  }
+}
+
+/**
+ * Whether any attribute of the registry wants to see inside shadow roots
+ *
+ * @param {Registry} registry
+ *
+ * @return {boolean}
+ */
+function observesShadowRoots(registry) {
+  return [...definitionsOf(registry).values()].some(
+    (definition) => definition.shadowRoots && definition.childList
+  );
+}
+
+/**
+ * Collect all open shadow roots in a subtree, including nested ones
+ *
+ * @param {Node} node Element, document or shadow root to search
+ *
+ * @return {ShadowRoot[]}
+ */
+function shadowRootsIn(node) {
+  const shadowRoots = [];
+  const elements = node.querySelectorAll("*");
+  for (const element of isElement(node) ? [node, ...elements] : elements) {
+    if (element.shadowRoot) {
+      shadowRoots.push(
+        element.shadowRoot,
+        ...shadowRootsIn(element.shadowRoot)
+      );
+    }
+  }
+  return shadowRoots;
+}
+
+/**
+ * Start observing the open shadow roots in a subtree
+ *
+ * @param {Registry} registry
+ * @param {Node} node
+ *
+ * @return {void}
+ */
+function trackShadowRoots(registry, node) {
+  if (!observesShadowRoots(registry)) {
+    return;
+  }
+  shadowRegistries.add(registry);
+  patchAttachShadow(registry.window);
+  let added = false;
+  for (const shadowRoot of shadowRootsIn(node)) {
+    if (!registry.shadowRoots.has(shadowRoot) && !scopes.has(shadowRoot)) {
+      registry.shadowRoots.add(shadowRoot);
+      added = true;
+    }
+  }
+  if (added) {
+    observe(registry);
+  }
+}
+
+/**
+ * Stop following the shadow roots in a removed subtree
+ *
+ * Records from shadow roots that are no longer tracked are ignored by the mutation handler
+ *
+ * @param {Registry} registry
+ * @param {Node} node
+ *
+ * @return {void}
+ */
+function untrackShadowRoots(registry, node) {
+  if (registry.shadowRoots.size === 0) {
+    return;
+  }
+  for (const shadowRoot of shadowRootsIn(node)) {
+    registry.shadowRoots.delete(shadowRoot);
+  }
+}
+
+/**
+ * Whether a node lives in the light DOM of an attached root or in one of the tracked shadow roots
+ *
+ * @param {Registry} registry
+ * @param {Node} node
+ *
+ * @return {boolean}
+ */
+function isObserved(registry, node) {
+  const rootNode = node.getRootNode();
+  return (
+    !isShadowRoot(rootNode) ||
+    registry.shadowRoots.has(rootNode) ||
+    [...registry.roots].some((root) => root.getRootNode() === rootNode)
+  );
+}
+
+/**
+ * Wrap `Element.prototype.attachShadow` so shadow roots created after registration get observed
+ *
+ * @param {Window} window Window providing the DOM implementation
+ *
+ * @return {void}
+ */
+function patchAttachShadow(window) {
+  const { Element } = window;
+  if (!Element?.prototype.attachShadow || patchedWindows.has(window)) {
+    return;
+  }
+  patchedWindows.add(window);
+  const { attachShadow } = Element.prototype;
+  Element.prototype.attachShadow = function (...args) {
+    const shadowRoot = attachShadow.apply(this, args);
+    if (shadowRoot.mode === "open") {
+      for (const registry of shadowRegistries) {
+        if (
+          [...registry.roots].some((root) => root.contains(this)) ||
+          registry.shadowRoots.has(this.getRootNode())
+        ) {
+          trackShadowRoots(registry, this);
+        }
+      }
+    }
+    return shadowRoot;
+  };
+}
+
+/**
+ * Escape a name for use as a CSS identifier, like `CSS.escape` which not every DOM implementation provides
+ *
+ * @param {string} name
+ *
+ * @return {string}
+ */
+function escapeIdentifier(name) {
+  return [...name]
+    .map((char, index) => {
+      const code = char.codePointAt(0);
+      if (code === 0) {
+        return "\uFFFD";
+      }
+      if (
+        code <= 0x1f ||
+        code === 0x7f ||
+        (/[0-9]/.test(char) &&
+          (index === 0 || (index === 1 && name[0] === "-")))
+      ) {
+        return `\\${code.toString(16)} `;
+      }
+      if (char === "-" && name.length === 1) {
+        return "\\-";
+      }
+      if (code >= 0x80 || /[\w-]/.test(char)) {
+        return char;
+      }
+      return `\\${char}`;
+    })
+    .join("");
+}
+
+/**
+ * Build a selector that matches any of the given attribute names
+ *
+ * @param {Iterable<string>} names Attribute names
+ *
+ * @return {string}
+ */
+function selectorFor(names) {
+  return [...names].map((name) => `[${escapeIdentifier(name)}]`).join(",");
+}
+
+/**
+ * Check a name before it gets defined
+ *
+ * Invalid XML names always throw. Names clashing with standard HTML, ARIA or SVG attributes and names
+ * without a dash or colon are reported as a warning, or thrown in strict mode.
+ *
+ * @param {Registry} registry
+ * @param {string} name Attribute name or pattern
+ *
+ * @return {void}
+ */
+function validateName(registry, name) {
+  const literal = isPattern(name) ? name.slice(0, -1) : name;
+  if (!xmlName.test(literal)) {
+    throw new AttributeNameError(
+      "INVALID_NAME",
+      `CustomAttributeRegistry.define: "${name}" is not a valid attribute name`
+    );
+  }
+  // HTML lowercases attribute names, so a name with uppercase letters would never match its own records
+  if (/[A-Z]/.test(literal)) {
+    throw new AttributeNameError(
+      "INVALID_NAME",
+      `CustomAttributeRegistry.define: "${name}" contains uppercase letters, attribute names have to be lowercase`
+    );
+  }
+
+  let problem;
+  if (
+    [...standardAttributes].some((attribute) => matchesName(name, attribute)) ||
+    standardPrefixes.some(
+      (prefix) =>
+        literal.startsWith(prefix) ||
+        (isPattern(name) && prefix.startsWith(literal))
+    )
+  ) {
+    problem = "clashes with a standard HTML, ARIA or SVG attribute";
+  } else if (!/[-:]/.test(literal)) {
+    problem =
+      "should contain a dash or colon to prevent clashes with standard attributes";
+  }
+  if (!problem) {
+    return;
+  }
+
+  const message = `CustomAttributeRegistry.define: the name "${name}" ${problem}`;
+  if (optionOf(registry, "strict")) {
+    throw new AttributeNameError("RESERVED_NAME", message);
+  }
+  console.warn(message);
+}
+
+/**
+ * Get an inheritable option of a registry, like `strict`, from the registry or the closest parent that sets it
+ *
+ * @param {Registry} registry
+ * @param {"strict"|"dev"|"onError"} option
+ *
+ * @return {any} Undefined if no registry sets the option
+ */
+function optionOf(registry, option) {
+  for (let current = registry; current; current = current.parent) {
+    if (current[option] !== undefined) {
+      return current[option];
+    }
+  }
+}
+
+/**
+ * Get the names of the registered attributes an element carries, with pattern definitions expanded to the
+ * matching attribute names
+ *
+ * Elements that belong to the scope of another registry are skipped
+ *
+ * @param {Registry} registry
+ * @param {Element} element
+ *
+ * @return {string[]}
+ */
+function namesFor(registry, element) {
+  const owner = ownerOf(element);
+  if (owner && owner !== registry) {
+    return [];
+  }
+  const names = [];
+  const inShadowRoot = registry.shadowRoots.has(element.getRootNode());
+  const reflected = reflectedAttributes.get(element);
+  for (const [name, definition] of definitionsOf(registry)) {
+    if (!definition.childList && !registry.roots.has(element)) {
+      continue;
+    }
+    if (inShadowRoot && !definition.shadowRoots) {
+      continue;
+    }
+    if (!isPattern(name)) {
+      if (element.hasAttribute(name)) {
+        names.push(name);
+      }
+      continue;
+    }
+    for (const attribute of element.getAttributeNames()) {
+      if (
+        attribute !== hydrationAttribute &&
+        attribute !== errorAttribute &&
+        !reflected?.has(attribute) &&
+        definitionFor(registry, attribute)?.name === name
+      ) {
+        names.push(attribute);
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Get all descendants carrying one of the given attributes, including those in observed shadow roots
+ *
+ * @param {Registry} registry
+ * @param {Node} node
+ * @param {Iterable<string>} names Definition names
+ *
+ * @return {Element[]}
+ */
+function descendants(registry, node, names) {
+  names = [...names];
+  if (names.length === 0) {
+    return [];
+  }
+  // Patterns can't be expressed as a selector, so their elements are found by checking attribute names
+  const selector = names.some(isPattern) ? "*" : selectorFor(names);
+  const elements = [...node.querySelectorAll(selector)];
+  if (registry.shadowRoots.size > 0) {
+    for (const shadowRoot of shadowRootsIn(node)) {
+      if (registry.shadowRoots.has(shadowRoot)) {
+        elements.push(...shadowRoot.querySelectorAll(selector));
+      }
+    }
+  }
+  if (selector !== "*") {
+    return elements;
+  }
+  return elements.filter((element) =>
+    element
+      .getAttributeNames()
+      .some((attribute) => names.some((name) => matchesName(name, attribute)))
+  );
+}
+
+/**
+ * Get a node, if it is an element, and all of its descendants carrying one of the given attributes
+ *
+ * @param {Registry} registry
+ * @param {Node} node
+ * @param {Iterable<string>} [names] Definition names, defaults to all names known to the registry
+ *
+ * @return {Element[]}
+ */
+function elementsIn(registry, node, names = definitionsOf(registry).keys()) {
+  const elements = descendants(registry, node, names);
+  if (isElement(node)) {
+    elements.unshift(node);
+  }
+  return elements;
+}
+
+/**
+ * Get the live instances on an element, by attribute name
+ *
+ * @param {Registry} registry
+ * @param {Element} element Host element
+ *
+ * @return {Map<string, CustomAttribute>}
+ */
+function instancesOf(registry, element) {
+  let attributes = registry.instances.get(element);
+  if (!attributes) {
+    attributes = new Map();
+    registry.instances.set(element, attributes);
+  }
+  return attributes;
+}
+
+/**
+ * Initiate a new instance, or wait for the upgrade strategy of the definition to trigger
+ *
+ * @param {Registry} registry
+ * @param {Element} element Element with target attribute
+ * @param {string} name Attribute name
+ *
+ * @return {void}
+ */
+function newAttribute(registry, element, name) {
+  if (
+    registry.instances.get(element)?.has(name) ||
+    registry.deferred.get(element)?.has(name)
+  ) {
+    return;
+  }
+  const { upgrade } = definitionFor(registry, name).definition;
+  if (
+    upgrade === "eager" ||
+    !canSchedule(registry.window, upgrade) ||
+    (upgrade.media && registry.window.matchMedia(upgrade.media).matches)
+  ) {
+    connect(registry, element, name);
+    return;
+  }
+
+  let deferred = registry.deferred.get(element);
+  if (!deferred) {
+    deferred = new Map();
+    registry.deferred.set(element, deferred);
+  }
+  const cancel = scheduleUpgrade(registry.window, element, upgrade, () => {
+    deferred.delete(name);
+    connect(registry, element, name);
+  });
+  deferred.set(name, cancel);
+}
+
+/**
+ * Whether a window provides what an upgrade strategy needs. Strategies that can't be scheduled upgrade eagerly,
+ * like "visible" in DOM implementations without `IntersectionObserver`
+ *
+ * @param {Window} window
+ * @param {UpgradeStrategy} upgrade
+ *
+ * @return {boolean}
+ */
+function canSchedule(window, upgrade) {
+  if (upgrade === "visible") {
+    return typeof window.IntersectionObserver === "function";
+  }
+  if (typeof upgrade === "object") {
+    return typeof window.matchMedia === "function";
+  }
+  return true;
+}
+
+/**
+ * Wait for an upgrade strategy to trigger
+ *
+ * @param {Window} window
+ * @param {Element} element Host element
+ * @param {UpgradeStrategy} upgrade Strategy other than "eager"
+ * @param {Function} callback Called once the strategy triggers
+ *
+ * @return {Function} Cancels the upgrade
+ */
+function scheduleUpgrade(window, element, upgrade, callback) {
+  if (upgrade === "idle") {
+    if (window.requestIdleCallback) {
+      const handle = window.requestIdleCallback(callback);
+      return () => window.cancelIdleCallback(handle);
+    }
+    const handle = window.setTimeout(callback, 1);
+    return () => window.clearTimeout(handle);
+  }
+
+  if (upgrade === "visible") {
+    let shared = intersectionObservers.get(window);
+    if (!shared) {
+      const callbacks = new WeakMap();
+      const observer = new window.IntersectionObserver((entries) => {
+        for (const entry of entries) {
+          if (entry.isIntersecting) {
+            observer.unobserve(entry.target);
+            const pending = callbacks.get(entry.target) ?? [];
+            callbacks.delete(entry.target);
+            pending.forEach((pendingCallback) => pendingCallback());
+          }
+        }
+      });
+      shared = { observer, callbacks };
+      intersectionObservers.set(window, shared);
+    }
+    const { observer, callbacks } = shared;
+    if (!callbacks.has(element)) {
+      callbacks.set(element, new Set());
+      observer.observe(element);
+    }
+    callbacks.get(element).add(callback);
+    return () => {
+      const pending = callbacks.get(element);
+      pending?.delete(callback);
+      if (pending?.size === 0) {
+        callbacks.delete(element);
+        observer.unobserve(element);
+      }
+    };
+  }
+
+  if (upgrade === "interaction") {
+    const listener = () => {
+      cancel();
+      callback();
+    };
+    const cancel = () =>
+      interactionEvents.forEach((type) =>
+        element.removeEventListener(type, listener)
+      );
+    interactionEvents.forEach((type) =>
+      element.addEventListener(type, listener, { passive: true })
+    );
+    return cancel;
+  }
+
+  const query = window.matchMedia(upgrade.media);
+  const listener = (event) => {
+    if (event.matches) {
+      query.removeEventListener("change", listener);
+      callback();
+    }
+  };
+  query.addEventListener("change", listener);
+  return () => query.removeEventListener("change", listener);
+}
+
+/**
+ * Create and connect an instance, loading the class first if needed
+ *
+ * @param {Registry} registry
+ * @param {Element} element Element with target attribute
+ * @param {string} name Attribute name
+ *
+ * @return {void}
+ */
+function connect(registry, element, name) {
+  const { name: definitionName, definition } = definitionFor(registry, name);
+  const { customAttribute } = definition;
+  if (!customAttribute) {
+    const waiting = { registry, element, name };
+    definition.waiting.add(waiting);
+    let deferred = registry.deferred.get(element);
+    if (!deferred) {
+      deferred = new Map();
+      registry.deferred.set(element, deferred);
+    }
+    deferred.set(name, () => definition.waiting.delete(waiting));
+    load(definition, definitionName);
+    return;
+  }
+
+  let cls;
+  try {
+    cls = new customAttribute(
+      name,
+      element,
+      isPattern(definitionName) ? name.slice(definitionName.length - 1) : null
+    );
+  } catch (error) {
+    console.error(error);
+    notifyError(registry, error, {
+      phase: "constructor",
+      instance: null,
+      host: element,
+      name,
+    });
+    return;
+  }
+  lifecycleOf(cls).registry = registry;
+  instancesOf(registry, element).set(name, cls);
+  bindEvents(cls);
+  bindForm(cls);
+  const hydration = takeHydration(cls, element, name);
+  if (hydration) {
+    enqueue(cls, "hydrated", () => cls.hydratedCallback(hydration.state));
+  } else {
+    const value = parseValue(cls, element.getAttribute(name));
+    enqueue(cls, "connected", () => cls.connectedCallback(value));
+  }
+
+  // First update with every property
+  cls.requestUpdate("value");
+  for (const property of Object.keys(propertiesOf(customAttribute))) {
+    cls.requestUpdate(property);
+  }
+}
+
+/**
+ * Parse an event key like "click", "keydown.enter" or "window:resize"
+ *
+ * @param {string} key
+ *
+ * @return {{target: string, type: string, matches: (event: Event) => boolean}}
+ */
+function parseEventKey(key) {
+  const [, target = "host", rest] = /^(?:(host|window|document):)?(.*)$/.exec(
+    key
+  );
+  const [type, ...filters] = rest.split(".");
+  const matches = (event) =>
+    filters.every((filter) =>
+      modifierKeys.includes(filter)
+        ? event[`${filter}Key`]
+        : event.key?.toLowerCase() === (keyAliases[filter] ?? filter)
+    );
+  return { target, type, matches };
+}
+
+/**
+ * Get the parsed `static events` of a class
+ *
+ * @param {CustomAttribute.constructor} customAttribute
+ *
+ * @return {{target: string, type: string, matches: (event: Event) => boolean, method: string}[]}
+ */
+function eventsOf(customAttribute) {
+  let events = parsedEvents.get(customAttribute);
+  if (!events) {
+    events = Object.entries(customAttribute.events ?? {}).map(
+      ([key, method]) => ({ ...parseEventKey(key), method })
+    );
+    parsedEvents.set(customAttribute, events);
+  }
+  return events;
+}
+
+/**
+ * Bind the `static events` of an instance, they are unbound when its signal aborts. Binding again, after the
+ * host has been adopted by another document or moved to another root node, unbinds the previous listeners
+ *
+ * @param {CustomAttribute} cls
+ *
+ * @return {void}
+ */
+function bindEvents(cls) {
+  const events = eventsOf(cls.constructor);
+  if (events.length === 0) {
+    return;
+  }
+  const lifecycle = lifecycleOf(cls);
+  lifecycle.events?.abort();
+  const controller = new lifecycle.controller.constructor();
+  lifecycle.events = controller;
+  lifecycle.eventRoot = cls.host.getRootNode();
+  cls.signal.addEventListener("abort", () => controller.abort(), {
+    once: true,
+  });
+  const { signal } = controller;
+
+  const { delegateEvents } = cls.constructor;
+  for (const { target, type, matches, method } of events) {
+    if (typeof cls[method] !== "function") {
+      reportError(
+        cls,
+        new Error(
+          `CustomAttribute: expected method "${method}" for event "${type}" to exist on ${cls.constructor.name}`
+        ),
+        "event"
+      );
+      continue;
+    }
+    if (target === "host" && delegateEvents && !nonBubblingEvents.has(type)) {
+      delegate(cls, type, signal);
+      continue;
+    }
+    const { ownerDocument } = cls.host;
+    const eventTarget = {
+      host: cls.host,
+      window: ownerDocument.defaultView,
+      document: ownerDocument,
+    }[target];
+    eventTarget?.addEventListener(
+      type,
+      (event) => {
+        if (!matches(event)) {
+          return;
+        }
+        callHandler(cls, "event", () => cls[method](event));
+      },
+      { signal }
+    );
+  }
+}
+
+/**
+ * Get the form an element belongs to: the form owner of form controls, the closest form for other elements
+ *
+ * @param {Element} element
+ *
+ * @return {HTMLFormElement|null}
+ */
+function formOf(element) {
+  return "form" in element ? element.form : element.closest("form");
+}
+
+/**
+ * Show the first custom validity message set by the instances on a host
+ *
+ * @param {Element} host Form control
+ *
+ * @return {void}
+ */
+function applyValidity(host) {
+  const messages = [...(validityMessages.get(host)?.values() ?? [])];
+  host.setCustomValidity(messages.find(Boolean) ?? "");
+}
+
+/**
+ * Listen for the reset and `formdata` events of the form of a host, if the instance overrides
+ * `formResetCallback` or `formDataCallback`
+ *
+ * The listeners sit on the document and check the form on every event, so they keep working when the host
+ * moves to another form. Binding again, after the host has been adopted by another document, unbinds the
+ * previous listeners.
+ *
+ * @param {CustomAttribute} cls
+ *
+ * @return {void}
+ */
+function bindForm(cls) {
+  const { formResetCallback, formDataCallback } = CustomAttribute.prototype;
+  const reset = cls.formResetCallback !== formResetCallback;
+  const formData = cls.formDataCallback !== formDataCallback;
+  if (!reset && !formData) {
+    return;
+  }
+  const lifecycle = lifecycleOf(cls);
+  lifecycle.form?.abort();
+  const controller = new lifecycle.controller.constructor();
+  lifecycle.form = controller;
+  cls.signal.addEventListener("abort", () => controller.abort(), {
+    once: true,
+  });
+
+  const { ownerDocument } = cls.host;
+  const options = { capture: true, signal: controller.signal };
+  const fromForm = (event) => event.composedPath()[0] === formOf(cls.host);
+  if (reset) {
+    ownerDocument.addEventListener(
+      "reset",
+      (event) => {
+        if (!fromForm(event)) {
+          return;
+        }
+        // Controls are reset once the event has been dispatched, unless it is canceled. Microtasks can run
+        // before that, between the listeners of a reset triggered by the user
+        ownerDocument.defaultView.setTimeout(() => {
+          if (!event.defaultPrevented && !cls.signal.aborted) {
+            enqueue(cls, "formReset", () => cls.formResetCallback());
+          }
+        });
+      },
+      options
+    );
+  }
+  if (formData) {
+    ownerDocument.addEventListener(
+      "formdata",
+      (event) => {
+        if (!fromForm(event)) {
+          return;
+        }
+        callHandler(cls, "formData", () =>
+          cls.formDataCallback(event.formData)
+        );
+      },
+      options
+    );
+  }
+}
+
+/**
+ * Handle an event type of an instance through a shared listener on the root node of its host
+ *
+ * @param {CustomAttribute} cls
+ * @param {string} type Event type
+ * @param {AbortSignal} signal Removes the instance again
+ *
+ * @return {void}
+ */
+function delegate(cls, type, signal) {
+  const root = cls.host.getRootNode();
+  let types = delegatedEvents.get(root);
+  if (!types) {
+    types = new Map();
+    delegatedEvents.set(root, types);
+  }
+  const count = types.get(type) ?? 0;
+  if (count === 0) {
+    root.addEventListener(type, delegatedListener);
+  }
+  types.set(type, count + 1);
+  signal.addEventListener(
+    "abort",
+    () => {
+      types.set(type, types.get(type) - 1);
+      if (types.get(type) === 0) {
+        types.delete(type);
+        root.removeEventListener(type, delegatedListener);
+      }
+    },
+    { once: true }
+  );
+}
+
+/**
+ * Shared root listener: pass the event to the delegating instances along its path, innermost first
+ *
+ * @param {Event} event
+ *
+ * @return {void}
+ */
+function delegatedListener(event) {
+  const root = event.currentTarget;
+  for (const node of event.composedPath()) {
+    if (node === root || event.cancelBubble) {
+      break;
+    }
+    if (!isElement(node) || node.getRootNode() !== root) {
+      continue;
+    }
+    for (const cls of getAttributeInstances(node).values()) {
+      if (!cls.constructor.delegateEvents) {
+        continue;
+      }
+      for (const { target, type, matches, method } of eventsOf(
+        cls.constructor
+      )) {
+        if (
+          target === "host" &&
+          type === event.type &&
+          matches(event) &&
+          !cls.signal.aborted
+        ) {
+          // One failing handler must not keep the event from the other instances
+          callHandler(cls, "event", () => cls[method](event));
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Whether a value is a class for custom attributes
+ *
+ * @param {any} value
+ *
+ * @return {boolean}
+ */
+function isCustomAttributeClass(value) {
+  return (
+    typeof value === "function" &&
+    (value === CustomAttribute || value.prototype instanceof CustomAttribute)
+  );
+}
+
+/**
+ * Whether a value is a function loading a class for custom attributes, like `() => import("./chart.js")`
+ *
+ * @param {any} value
+ *
+ * @return {boolean}
+ */
+function isLoaderFunction(value) {
+  return (
+    typeof value === "function" &&
+    !isCustomAttributeClass(value) &&
+    !/^class\b/.test(Function.prototype.toString.call(value))
+  );
+}
+
+/**
+ * Load the class of a lazy definition, then connect the hosts waiting for it
+ *
+ * Loading starts once, failures are logged and retried when the next host shows up.
+ *
+ * @param {Definition} definition
+ * @param {string} name Attribute name
+ *
+ * @return {void}
+ */
+function load(definition, name) {
+  definition.loading ??= Promise.resolve()
+    .then(() => definition.loader())
+    .then((module) => {
+      const customAttribute = isCustomAttributeClass(module)
+        ? module
+        : module?.default;
+      if (!isCustomAttributeClass(customAttribute)) {
+        throw new InvalidArgumentError(
+          "INVALID_CLASS",
+          `CustomAttributeRegistry: expected the loader for "${name}" to resolve to a subclass of CustomAttribute or a module exporting one as default but received ${module}`
+        );
+      }
+      if (!converterFor(customAttribute.type)) {
+        throw new InvalidArgumentError(
+          "INVALID_TYPE",
+          `CustomAttributeRegistry: expected static type of the class for "${name}" to be String, Boolean, Number, JSON, Array or an object with fromAttribute and toAttribute but received ${customAttribute.type}`
+        );
+      }
+      if (definition.registry.definitions.get(name) !== definition) {
+        // Undefined while loading
+        return;
+      }
+
+      definition.customAttribute = customAttribute;
+      definition.observedAttributes = [
+        ...(customAttribute.observedAttributes ?? []),
+      ];
+      const waiting = [...definition.waiting];
+      definition.waiting.clear();
+      for (const { registry, element, name: attribute } of waiting) {
+        registry.deferred.get(element)?.delete(attribute);
+        connect(registry, element, attribute);
+      }
+      loaded(definition.registry, name);
+    })
+    .catch((error) => {
+      definition.loading = null;
+      const waiting = [...definition.waiting];
+      definition.waiting.clear();
+      for (const { registry, element, name: attribute } of waiting) {
+        registry.deferred.get(element)?.delete(attribute);
+      }
+      console.error(error);
+      notifyError(definition.registry, error, {
+        phase: "load",
+        instance: null,
+        host: null,
+        name,
+      });
+      if (optionOf(definition.registry, "dev")) {
+        for (const { element, name: attribute } of waiting) {
+          markFailed(element, attribute);
+        }
+      }
+    });
+}
+
+/**
+ * Pick up the class of a lazy definition once loaded: observe its host attributes and resolve `whenDefined`
+ *
+ * @param {Registry} registry
+ * @param {string} name Attribute name
+ *
+ * @return {void}
+ */
+function loaded(registry, name) {
+  observe(registry);
+  resolvePending(registry, name);
+  for (const child of registry.children) {
+    if (!child.definitions.has(name)) {
+      loaded(child, name);
+    }
+  }
+}
+
+/**
+ * Resolve `whenDefined` calls for a name once its class is available
+ *
+ * @param {Registry} registry
+ * @param {string} name Attribute name
+ *
+ * @return {void}
+ */
+function resolvePending(registry, name) {
+  const customAttribute = definitionsOf(registry).get(name)?.customAttribute;
+  const pending = registry.pending.get(name);
+  if (customAttribute && pending) {
+    registry.pending.delete(name);
+    pending.resolve(customAttribute);
+  }
+}
+
+/**
+ * Get the reactive properties of a class, defining their accessors on first use
+ *
+ * @param {CustomAttribute.constructor} customAttribute
+ *
+ * @return {Object<string, {default?: any}>}
+ */
+function propertiesOf(customAttribute) {
+  let properties = classProperties.get(customAttribute);
+  if (properties) {
+    return properties;
+  }
+
+  const parent = Object.getPrototypeOf(customAttribute);
+  properties = {
+    ...(isCustomAttributeClass(parent) ? propertiesOf(parent) : {}),
+  };
+  if (Object.hasOwn(customAttribute, "properties")) {
+    for (const [name, options] of Object.entries(customAttribute.properties)) {
+      if (name in CustomAttribute.prototype) {
+        throw new CustomAttributeError(
+          "RESERVED_PROPERTY",
+          `CustomAttribute: property "${name}" of ${customAttribute.name} clashes with a member of CustomAttribute`
+        );
+      }
+      properties[name] = options;
+      Object.defineProperty(customAttribute.prototype, name, {
+        configurable: true,
+        enumerable: true,
+        get() {
+          const { values } = lifecycleOf(this);
+          return values.has(name) ? values.get(name) : options.default;
+        },
+        set(value) {
+          const oldValue = this[name];
+          lifecycleOf(this).values.set(name, value);
+          if (!Object.is(value, oldValue)) {
+            this.requestUpdate(name, oldValue);
+          }
+        },
+      });
+    }
+  }
+  classProperties.set(customAttribute, properties);
+  return properties;
+}
+
+/**
+ * Get the lifecycle state of an instance
+ *
+ * @param {CustomAttribute} cls
+ *
+ * @return {{controller: AbortController, queue: Promise<void>|null, values: Map<string, any>, changed: Map<string, any>|null, registry: Registry|null, events?: AbortController, eventRoot?: Node, form?: AbortController, states?: Set<string>, cssVars?: Map<string, any>}}
+ */
+function lifecycleOf(cls) {
+  let lifecycle = lifecycles.get(cls);
+  if (!lifecycle) {
+    // Signals have to come from the realm of the host to be accepted by its addEventListener
+    const { AbortController } =
+      cls.host.ownerDocument?.defaultView ?? globalThis;
+    lifecycle = {
+      controller: new AbortController(),
+      queue: null,
+      values: new Map(),
+      changed: null,
+      registry: null,
+    };
+    lifecycles.set(cls, lifecycle);
+  }
+  return lifecycle;
+}
+
+/**
+ * Run a lifecycle callback of an instance once its previous callbacks have settled
+ *
+ * Runs synchronously while nothing is pending. Errors and rejections are reported, unless they are caused by
+ * the aborted signal of the instance.
+ *
+ * @param {CustomAttribute} cls
+ * @param {ErrorPhase} phase Lifecycle phase reported with errors
+ * @param {() => void|Promise<void>} callback
+ *
+ * @return {void}
+ */
+function enqueue(cls, phase, callback) {
+  const lifecycle = lifecycleOf(cls);
+  let result;
+  if (lifecycle.queue) {
+    result = lifecycle.queue.then(callback);
+  } else {
+    try {
+      result = callback();
+    } catch (error) {
+      reportError(cls, error, phase);
+      return;
+    }
+    if (typeof result?.then !== "function") {
+      return;
+    }
+  }
+
+  const { signal } = lifecycle.controller;
+  const queue = Promise.resolve(result)
+    .catch((error) => {
+      if (!isAbortedBy(signal, error)) {
+        reportError(cls, error, phase);
+      }
+    })
+    .then(() => {
+      if (lifecycle.queue === queue) {
+        lifecycle.queue = null;
+      }
+    });
+  lifecycle.queue = queue;
+}
+
+/**
+ * Call an event handler of an instance right away, reporting what it throws or rejects with, unless it is
+ * caused by the aborted signal of the instance
+ *
+ * @param {CustomAttribute} cls
+ * @param {ErrorPhase} phase Phase reported with errors
+ * @param {() => void|Promise<void>} callback
+ *
+ * @return {void}
+ */
+function callHandler(cls, phase, callback) {
+  let result;
+  try {
+    result = callback();
+  } catch (error) {
+    reportError(cls, error, phase);
+    return;
+  }
+  if (typeof result?.then === "function") {
+    const { signal } = lifecycleOf(cls).controller;
+    result.then(undefined, (error) => {
+      if (!isAbortedBy(signal, error)) {
+        reportError(cls, error, phase);
+      }
+    });
+  }
+}
+
+/**
+ * Whether an error is the rejection caused by aborting a signal
+ *
+ * @param {AbortSignal} signal
+ * @param {any} error
+ *
+ * @return {boolean}
+ */
+function isAbortedBy(signal, error) {
+  return (
+    signal.aborted && (error === signal.reason || error?.name === "AbortError")
+  );
+}
+
+/**
+ * Report an error of an instance to its `errorCallback` and to the `onError` hook of its registry
+ *
+ * @param {CustomAttribute} cls
+ * @param {any} error
+ * @param {ErrorPhase} phase
+ *
+ * @return {void}
+ */
+function reportError(cls, error, phase) {
+  try {
+    cls.errorCallback(error, phase);
+  } catch (callbackError) {
+    console.error(callbackError);
+  }
+  const { registry } = lifecycleOf(cls);
+  if (registry) {
+    notifyError(registry, error, {
+      phase,
+      instance: cls,
+      host: cls.host,
+      name: cls.name,
+    });
+  }
+}
+
+/**
+ * Pass an error to the `onError` hook of a registry and, in dev mode, mark the failed host
+ *
+ * @param {Registry} registry
+ * @param {any} error
+ * @param {ErrorContext} context
+ *
+ * @return {void}
+ */
+function notifyError(registry, error, context) {
+  const onError = optionOf(registry, "onError");
+  if (onError) {
+    try {
+      onError(error, context);
+    } catch (hookError) {
+      console.error(hookError);
+    }
+  }
+  if (context.host && optionOf(registry, "dev")) {
+    markFailed(context.host, context.name);
+  }
+}
+
+/**
+ * Add an attribute name to the error marker of a host
+ *
+ * @param {Element} element Host element
+ * @param {string} name Attribute name
+ *
+ * @return {void}
+ */
+function markFailed(element, name) {
+  const names = (element.getAttribute(errorAttribute) ?? "")
+    .split(" ")
+    .filter(Boolean);
+  if (!names.includes(name)) {
+    element.setAttribute(errorAttribute, [...names, name].join(" "));
+  }
+}
+
+/**
+ * Remove an attribute name from the error marker of a host, removing the marker once it's empty
+ *
+ * @param {Element} element Host element
+ * @param {string} name Attribute name
+ *
+ * @return {void}
+ */
+function unmarkFailed(element, name) {
+  const marker = element.getAttribute(errorAttribute);
+  if (marker === null) {
+    return;
+  }
+  const names = marker.split(" ").filter((failed) => failed && failed !== name);
+  if (names.length) {
+    element.setAttribute(errorAttribute, names.join(" "));
+  } else {
+    element.removeAttribute(errorAttribute);
+  }
+}
+
+/**
+ * Check whether an attribute on a host has been rendered ahead of time and hasn't been hydrated yet
+ *
+ * An empty marker hydrates every attribute on the host, a JSON object only the names it lists.
+ *
+ * @param {CustomAttribute} cls Instance to report an invalid marker to
+ * @param {Element} element Host element
+ * @param {string} name Attribute name
+ *
+ * @return {{state: any}|undefined} Render state, undefined if the attribute should connect as usual
+ */
+function takeHydration(cls, element, name) {
+  const marker = element.getAttribute(hydrationAttribute);
+  let hydrated = hydratedNames.get(element);
+  if (marker === null || hydrated?.has(name)) {
+    return;
+  }
+
+  let states = {};
+  if (marker !== "") {
+    try {
+      states = JSON.parse(marker);
+    } catch (error) {
+      reportError(cls, error, "hydration");
+      return;
+    }
+    if (!Object.hasOwn(states ?? {}, name)) {
+      return;
+    }
+  }
+
+  if (!hydrated) {
+    hydrated = new Set();
+    hydratedNames.set(element, hydrated);
+  }
+  hydrated.add(name);
+  return { state: states[name] ?? undefined };
+}
+
+/**
+ * Mark an attribute on a host as rendered ahead of time
+ *
+ * @param {Element} element Host element
+ * @param {string} name Attribute name
+ * @param {any} state JSON serializable render state
+ *
+ * @return {void}
+ */
+function markHydrated(element, name, state) {
+  const marker = element.getAttribute(hydrationAttribute);
+  if (marker === "") {
+    return;
+  }
+  const states = marker === null ? {} : JSON.parse(marker);
+  states[name] = state ?? null;
+  element.setAttribute(hydrationAttribute, JSON.stringify(states));
+}
+
+/**
+ * Parse an attribute value for an instance, reporting failures to its `errorCallback`
+ *
+ * @param {CustomAttribute} cls
+ * @param {string|null} value Raw attribute value
+ *
+ * @return {any} Parsed value, undefined if it can't be parsed
+ */
+function parseValue(cls, value) {
+  try {
+    return converterFor(cls.constructor.type).fromAttribute(value);
+  } catch (error) {
+    reportError(cls, error, "parse");
+  }
+}
+
+/**
+ * Disconnect and forget an instance, or cancel its pending upgrade
+ *
+ * @param {Registry} registry
+ * @param {Element} element Host element
+ * @param {string} name Attribute name
+ *
+ * @return {void}
+ */
+function removeAttribute(registry, element, name) {
+  const cancel = registry.deferred.get(element)?.get(name);
+  if (cancel) {
+    registry.deferred.get(element).delete(name);
+    cancel();
+    return;
+  }
+
+  const attributes = registry.instances.get(element);
+  const cls = attributes?.get(name);
+  if (!cls) {
+    return;
+  }
+  attributes.delete(name);
+  unmarkFailed(element, name);
+  lifecycleOf(cls).controller.abort();
+  enqueue(cls, "disconnected", () => cls.disconnectedCallback());
+}
+
+/**
+ * Connect the given attributes on a node and its descendants
+ *
+ * @param {Registry} registry
+ * @param {Node} node Root of the subtree to upgrade
+ * @param {Iterable<string>} names Attribute names
+ *
+ * @return {void}
+ */
+function upgradeIn(registry, node, names) {
+  names = [...names];
+  for (const element of elementsIn(registry, node, names)) {
+    for (const attribute of namesFor(registry, element)) {
+      if (names.some((name) => matchesName(name, attribute))) {
+        newAttribute(registry, element, attribute);
+      }
+    }
+  }
+}
+
+/**
+ * Give up the instances in a subtree that now belongs to the scope of another registry
+ *
+ * Instances the new owner defines with the same class are handed over, all others are disconnected.
+ *
+ * @param {Registry} registry
+ * @param {Node} node Root of the subtree
+ *
+ * @return {void}
+ */
+function release(registry, node) {
+  for (const element of elementsIn(registry, node)) {
+    const owner = ownerOf(element);
+    if (owner === registry) {
+      continue;
+    }
+    for (const name of [...(registry.deferred.get(element)?.keys() ?? [])]) {
+      removeAttribute(registry, element, name);
+    }
+    for (const [name, cls] of [...(registry.instances.get(element) ?? [])]) {
+      const definition = owner && definitionFor(owner, name)?.definition;
+      if (
+        definition?.customAttribute === cls.constructor &&
+        !instancesOf(owner, element).has(name)
+      ) {
+        registry.instances.get(element).delete(name);
+        instancesOf(owner, element).set(name, cls);
+        lifecycleOf(cls).registry = owner;
+      } else {
+        removeAttribute(registry, element, name);
+      }
+    }
+  }
+}
+
+/**
+ * Pick up a changed definition: disconnect instances of a previous definition, observe the name,
+ * upgrade existing elements and resolve `whenDefined`
+ *
+ * Registries inheriting the name are updated as well, unless they override it
+ *
+ * @param {Registry} registry
+ * @param {string} name Attribute name
+ *
+ * @return {void}
+ */
+function refresh(registry, name) {
+  registry.resolved = null;
+  for (const root of registry.roots) {
+    for (const element of elementsIn(registry, root, [name])) {
+      for (const attribute of [
+        ...(registry.deferred.get(element)?.keys() ?? []),
+        ...(registry.instances.get(element)?.keys() ?? []),
+      ]) {
+        if (!matchesName(name, attribute)) {
+          continue;
+        }
+        const cls = registry.instances.get(element)?.get(attribute);
+        if (
+          registry.deferred.get(element)?.has(attribute) ||
+          (cls &&
+            cls.constructor !==
+              definitionFor(registry, attribute)?.definition.customAttribute)
+        ) {
+          removeAttribute(registry, element, attribute);
+        }
+      }
+    }
+  }
+
+  if (!observesShadowRoots(registry)) {
+    registry.shadowRoots.clear();
+    shadowRegistries.delete(registry);
+  }
+  for (const root of registry.roots) {
+    trackShadowRoots(registry, root);
+  }
+  observe(registry);
+
+  // Also connects attributes that fall back to a pattern after the name has been undefined
+  for (const root of registry.roots) {
+    upgradeIn(registry, root, [name]);
+  }
+  resolvePending(registry, name);
+
+  for (const child of registry.children) {
+    if (!child.definitions.has(name)) {
+      refresh(child, name);
+    }
+  }
+}
+
+/**
+ * Notify the instances on an element that observe one of its other attributes
+ *
+ * @param {Registry} registry
+ * @param {Element} element Host element
+ * @param {string} name Name of the changed host attribute
+ * @param {string|null} newValue
+ * @param {string|null} oldValue
+ *
+ * @return {void}
+ */
+function hostAttributeChanged(registry, element, name, newValue, oldValue) {
+  for (const [attribute, cls] of registry.instances.get(element) ?? []) {
+    if (
+      definitionFor(
+        registry,
+        attribute
+      )?.definition.observedAttributes.includes(name)
+    ) {
+      enqueue(cls, "hostAttributeChanged", () =>
+        cls.hostAttributeChangedCallback(name, newValue, oldValue)
+      );
+    }
+  }
+}
+
+/**
+ * Whether a node is handled by a registry: below one of its roots or tracked shadow roots, and not in the scope
+ * of a nested registry
+ *
+ * @param {Registry} registry
+ * @param {Node} node
+ *
+ * @return {boolean}
+ */
+function inScope(registry, node) {
+  return ownerOf(node) === registry && isObserved(registry, node);
+}
+
+/**
+ * Bring the instances on an element in line with its attributes after a batch of mutations
+ *
+ * Instances that no longer apply are disconnected first, then the remaining ones are notified of changed
+ * values and missing ones are created.
+ *
+ * @param {Registry} registry
+ * @param {Element} element Host element
+ * @param {Map<string, string|null>} oldValues Values of the changed attributes before the batch, by name
+ *
+ * @return {void}
+ */
+function reconcile(registry, element, oldValues) {
+  const names = inScope(registry, element) ? namesFor(registry, element) : [];
+  for (const name of [
+    ...(registry.deferred.get(element)?.keys() ?? []),
+    ...(registry.instances.get(element)?.keys() ?? []),
+  ]) {
+    if (!names.includes(name)) {
+      removeAttribute(registry, element, name);
+    }
+  }
+
+  for (const [name, oldValue] of oldValues) {
+    const newValue = element.getAttribute(name);
+    if (newValue === oldValue) {
+      continue;
+    }
+    hostAttributeChanged(registry, element, name, newValue, oldValue);
+    const cls = registry.instances.get(element)?.get(name);
+    if (cls) {
+      const values = [parseValue(cls, newValue), parseValue(cls, oldValue)];
+      enqueue(cls, "changed", () => cls.changedCallback(...values));
+      cls.requestUpdate("value", values[1]);
+    }
+  }
+
+  for (const name of names) {
+    newAttribute(registry, element, name);
+  }
+}
+
 /**
- * Extend from this class to create a custom attribute observer
+ * Hand the instances in a subtree that has been moved into another document over to the registry of that
+ * document, calling `adoptedCallback` instead of disconnecting them
+ *
+ * A document without a registry gets one that inherits from the previous registry. Subtrees that aren't
+ * connected to a browsing context, like template content, are left to be disconnected.
+ *
+ * @param {Registry} registry Previous registry
+ * @param {Node} node Root of the adopted subtree
+ * @param {Document} oldDocument
+ *
+ * @return {void}
  */
-export class CustomAttribute {
-  #host;
-  #name;
+function adopt(registry, node, oldDocument) {
+  const newDocument = node.ownerDocument;
+  if (!node.isConnected || !newDocument.defaultView) {
+    return;
+  }
+  let target = ownerOf(node);
+  const scopedRegistry = target
+    ? null
+    : new CustomAttributeRegistry({
+        parent: registry.api,
+        window: newDocument.defaultView,
+      });
+  target ??= registries.get(scopedRegistry);
+
+  for (const element of elementsIn(registry, node)) {
+    for (const [name, cls] of [...(registry.instances.get(element) ?? [])]) {
+      // A registry attached to both documents keeps its instances
+      if (target !== registry) {
+        if (
+          definitionFor(target, name)?.definition.customAttribute !==
+            cls.constructor ||
+          instancesOf(target, element).has(name)
+        ) {
+          continue;
+        }
+        registry.instances.get(element).delete(name);
+        instancesOf(target, element).set(name, cls);
+        lifecycleOf(cls).registry = target;
+      }
+      bindEvents(cls);
+      bindForm(cls);
+      enqueue(cls, "adopted", () =>
+        cls.adoptedCallback(oldDocument, newDocument)
+      );
+    }
+  }
+
+  // Attaching upgrades the rest of the document, the handed over instances are kept
+  scopedRegistry?.attach(newDocument);
+}
+
+/**
+ * Dispatch a batch of mutation records to the attribute definitions of a registry
+ *
+ * The batch is reduced to its net effect per element before any callback runs. A node removed and inserted
+ * again within the batch counts as moved: the instances in its subtree stay connected and get `movedCallback`
+ * once the other changes of the batch have been applied. A node removed into another document is adopted.
+ * Registries watching for manifests read the ones among the added nodes.
+ *
+ * @param {Registry} registry
+ * @param {MutationRecord[]} mutationList
+ *
+ * @return {void}
+ */
+function mutationHandler(registry, mutationList) {
+  const elements = new Set();
+  const oldValues = new Map();
+  const removedNodes = [];
+  const addedNodes = [];
+  // First parent each node was removed from and last parent it was inserted into
+  const oldParents = new Map();
+  const newParents = new Map();
+  // Removed nodes that belong to another document now, with the document they came from
+  const adopted = new Map();
+
+  for (const record of mutationList) {
+    // Leftover records from shadow roots whose host has been removed
+    if (!isObserved(registry, record.target)) {
+      continue;
+    }
+
+    if (record.type === "childList") {
+      for (const removedNode of record.removedNodes) {
+        if (isElement(removedNode)) {
+          removedNodes.push(removedNode);
+          if (!oldParents.has(removedNode)) {
+            oldParents.set(removedNode, record.target);
+          }
+          const oldDocument = record.target.ownerDocument ?? record.target;
+          if (removedNode.ownerDocument !== oldDocument) {
+            adopted.set(removedNode, oldDocument);
+          }
+          elementsIn(registry, removedNode).forEach((node) =>
+            elements.add(node)
+          );
+        }
+      }
+      for (const addedNode of record.addedNodes) {
+        if (isElement(addedNode)) {
+          addedNodes.push(addedNode);
+          newParents.set(addedNode, record.target);
+          elementsIn(registry, addedNode).forEach((node) => elements.add(node));
+        }
+      }
+    }
+
+    if (
+      record.type === "attributes" &&
+      isElement(record.target) &&
+      // Markers written by `states` and dev mode don't feed back into the registry
+      record.attributeName !== errorAttribute &&
+      !reflectedAttributes.get(record.target)?.has(record.attributeName)
+    ) {
+      let values = oldValues.get(record.target);
+      if (!values) {
+        values = new Map();
+        oldValues.set(record.target, values);
+      }
+      // Keep the value from before the batch
+      if (!values.has(record.attributeName)) {
+        values.set(record.attributeName, record.oldValue);
+      }
+      elements.add(record.target);
+    }
+  }
+
+  for (const [node, oldDocument] of adopted) {
+    adopt(registry, node, oldDocument);
+  }
+  for (const node of removedNodes) {
+    untrackShadowRoots(registry, node);
+  }
+  for (const node of addedNodes) {
+    if (inScope(registry, node)) {
+      trackShadowRoots(registry, node);
+      // Pick up hosts inside shadow roots tracked just now
+      elementsIn(registry, node).forEach((element) => elements.add(element));
+    }
+  }
+
+  // Collect the moved instances before reconciling creates new ones. Hosts that moved themselves within a
+  // moved subtree keep their own parents
+  const moves = new Map();
+  for (const [node, newParent] of newParents) {
+    const oldParent = oldParents.get(node);
+    if (
+      !oldParent ||
+      node.parentNode !== newParent ||
+      !inScope(registry, node)
+    ) {
+      continue;
+    }
+    for (const element of elementsIn(registry, node)) {
+      for (const cls of registry.instances.get(element)?.values() ?? []) {
+        if (element === node || !moves.has(cls)) {
+          moves.set(cls, [oldParent, newParent]);
+        }
+      }
+    }
+  }
+
+  for (const element of elements) {
+    reconcile(registry, element, oldValues.get(element) ?? new Map());
+  }
+
+  for (const [cls, [oldParent, newParent]] of moves) {
+    if (!cls.signal.aborted) {
+      // Delegated events are handled on the root node, rebind them when the host moved to another one
+      const lifecycle = lifecycleOf(cls);
+      if (lifecycle.events && lifecycle.eventRoot !== cls.host.getRootNode()) {
+        bindEvents(cls);
+      }
+      enqueue(cls, "moved", () => cls.movedCallback(oldParent, newParent));
+    }
+  }
+
+  // Manifests register their attributes once the batch has been handled
+  if (registry.manifests) {
+    addedNodes.forEach(readManifestsIn);
+  }
+}
+
+/**
+ * A set of custom attribute definitions, modelled on scoped custom element registries
+ *
+ * A registry handles the attributes inside the roots it is attached to. Nested roots attached to another
+ * registry form their own scope. A registry created with a parent inherits all definitions it does not
+ * override itself.
+ */
+export class CustomAttributeRegistry {
+  /** @type {Registry} */
+  #registry;
 
   /**
-   * Get the host element that has the custom attribute
+   * Create a new registry
    *
-   * @return  {HTMLElement}
+   * @param {Object} [options]
+   * @param {CustomAttributeRegistry} [options.parent] Registry to inherit definitions from
+   * @param {Window} [options.window] Window providing `MutationObserver` and the DOM implementation, like a
+   * jsdom, happy-dom or linkedom window. Defaults to the parent's window or the global object
+   * @param {boolean} [options.strict] Throw instead of warning for names that clash with standard attributes.
+   * Defaults to the parent's setting, or false
+   * @param {(error: any, context: ErrorContext) => void} [options.onError] Called for every error of an
+   * attribute in this registry, after its `errorCallback`. Defaults to the parent's hook
+   * @param {boolean} [options.dev] Mark hosts whose attributes failed with a `data-ca-error` attribute listing
+   * the failed names. Defaults to the parent's setting, or false
    */
-  get host() {
-    return this.#host;
+  constructor({ parent, window, strict, onError, dev } = {}) {
+    if (parent !== undefined && !(parent instanceof CustomAttributeRegistry)) {
+      throw new InvalidArgumentError(
+        "INVALID_PARENT",
+        `CustomAttributeRegistry: expected option parent to be an instance of CustomAttributeRegistry but received ${parent}`
+      );
+    }
+    this.#registry = {
+      api: this,
+      window: window ?? parent?.#registry.window ?? globalThis,
+      parent: parent ? parent.#registry : null,
+      children: new Set(),
+      definitions: new Map(),
+      resolved: null,
+      pending: new Map(),
+      roots: new Set(),
+      observer: null,
+      instances: new WeakMap(),
+      deferred: new WeakMap(),
+      shadowRoots: new Set(),
+      strict,
+      dev,
+      onError,
+    };
+    this.#registry.parent?.children.add(this.#registry);
+    registries.set(this, this.#registry);
   }
 
   /**
-   * Get the attribute value. Returns a boolean for boolean attributes
+   * Whether names clashing with standard attributes throw an `AttributeNameError` instead of a warning
    *
-   * @return  {string|boolean}  Attribute value
+   * @return {boolean}
    */
-  get value() {
-    return this.#host.getAttribute(this.#name);
+  get strict() {
+    return optionOf(this.#registry, "strict") ?? false;
   }
 
   /**
-   * Attribute name
+   * @param {boolean} strict
+   */
+  set strict(strict) {
+    this.#registry.strict = strict;
+  }
+
+  /**
+   * Hook called for every error of an attribute in this registry, after its `errorCallback`
    *
-   * @return {string}
+   * @return {((error: any, context: ErrorContext) => void)|null}
    */
-  get name() {
-    return this.#name;
+  get onError() {
+    return optionOf(this.#registry, "onError") ?? null;
   }
 
   /**
-   * Register a new custom attribute
+   * @param {((error: any, context: ErrorContext) => void)|null} onError
+   */
+  set onError(onError) {
+    this.#registry.onError = onError ?? undefined;
+  }
+
+  /**
+   * Whether hosts whose attributes failed are marked with a `data-ca-error` attribute
    *
-   * @param   {string}  name  Custom attribute name
-   * @param   {HTMLElement}  host  Host element
+   * @return {boolean}
+   */
+  get dev() {
+    return optionOf(this.#registry, "dev") ?? false;
+  }
+
+  /**
+   * @param {boolean} dev
+   */
+  set dev(dev) {
+    this.#registry.dev = dev;
+  }
+
+  /**
+   * Registry this one inherits definitions from
    *
-   * @return  {void}
+   * @return {CustomAttributeRegistry|null}
    */
-  constructor(name, host) {
-    this.#host = host;
-    this.#name = name;
+  get parent() {
+    return this.#registry.parent?.api ?? null;
   }
 
   /**
-   * Callback when attribute is first seen in DOM. Will also be called on the initial pass after registering a custom attribute if it already exists
+   * Define a custom attribute in this registry
    *
-   * @param {string} _value Attribute value
+   * @param {string} name The name of the custom attribute, or a pattern like "on:*" covering every attribute
+   * starting with "on:"
+   * @param {CustomAttribute.constructor|(() => Promise<any>)} customAttribute Class for the custom attribute, or a
+   * function loading it, like `() => import("./chart.js")`. Loaders are called once the first host shows up
+   * and may resolve to the class or a module exporting it as default
+   * @param {Object} [options]
+   * @param {boolean} [options.childList=true] Connect elements below the attached roots, not only the roots themselves
+   * @param {boolean} [options.shadowRoots=false] Also connect elements inside open shadow roots below the attached roots
+   * @param {UpgradeStrategy} [options.upgrade="eager"] When hosts get their instance: "eager", "idle", "visible",
+   * "interaction" or `{ media: query }`
    *
    * @return {void}
    */
-  connectedCallback(_value) {
-    // console.log("native created");
+  define(
+    name,
+    customAttribute,
+    { childList = true, shadowRoots = false, upgrade = "eager" } = {}
+  ) {
+    if (typeof name !== "string") {
+      throw new InvalidArgumentError(
+        "INVALID_NAME_TYPE",
+        `CustomAttributeRegistry.define: expected parameter name to be of type string but received ${typeof name}`
+      );
+    }
+
+    validateName(this.#registry, name);
+
+    const isLoader = isLoaderFunction(customAttribute);
+    if (!isLoader && !isCustomAttributeClass(customAttribute)) {
+      throw new InvalidArgumentError(
+        "INVALID_CLASS",
+        `CustomAttributeRegistry.define: expected parameter customAttribute to be a subclass of CustomAttribute or a function loading one but received ${customAttribute}`
+      );
+    }
+
+    if (this.#registry.definitions.has(name)) {
+      throw new DuplicateDefinitionError(
+        "DUPLICATE_DEFINITION",
+        `Failed to execute 'define' on 'CustomAttributeRegistry': the name "${name}" has already been used with this registry.`
+      );
+    }
+
+    if (
+      !["eager", "idle", "visible", "interaction"].includes(upgrade) &&
+      typeof upgrade?.media !== "string"
+    ) {
+      throw new InvalidArgumentError(
+        "INVALID_UPGRADE",
+        `CustomAttributeRegistry.define: expected option upgrade to be "eager", "idle", "visible", "interaction" or { media: string } but received ${upgrade}`
+      );
+    }
+
+    if (!isLoader && !converterFor(customAttribute.type)) {
+      throw new InvalidArgumentError(
+        "INVALID_TYPE",
+        `CustomAttributeRegistry.define: expected static type of the class for "${name}" to be String, Boolean, Number, JSON, Array or an object with fromAttribute and toAttribute but received ${customAttribute.type}`
+      );
+    }
+
+    this.#registry.definitions.set(name, {
+      registry: this.#registry,
+      customAttribute: isLoader ? null : customAttribute,
+      loader: isLoader ? customAttribute : null,
+      loading: null,
+      waiting: new Set(),
+      childList,
+      shadowRoots,
+      observedAttributes: isLoader
+        ? []
+        : [...(customAttribute.observedAttributes ?? [])],
+      upgrade,
+    });
+    refresh(this.#registry, name);
   }
 
   /**
-   * Callback for attribute value changes
+   * Remove a definition from this registry and disconnect all of its live instances
+   *
+   * The name can be defined again afterwards. Registries inheriting the name fall back to the next
+   * definition up the parent chain, if any.
+   *
+   * @param {string} name Attribute name
+   *
+   * @return {boolean} Whether the name was defined in this registry
+   */
+  undefine(name) {
+    if (!this.#registry.definitions.delete(name)) {
+      return false;
+    }
+    refresh(this.#registry, name);
+    return true;
+  }
+
+  /**
+   * Get the class defined for a name, looking up the parent registries if needed
+   *
+   * Lazy definitions return undefined until their class has loaded.
+   *
+   * @param {string} name Attribute name
    *
-   * @param {string} _newValue  New value
-   * @param {string} _oldValue  Old value
+   * @return {CustomAttribute.constructor|undefined}
+   */
+  get(name) {
+    return (
+      definitionsOf(this.#registry).get(name)?.customAttribute ?? undefined
+    );
+  }
+
+  /**
+   * Get the name a class has been defined with, looking up the parent registries if needed
+   *
+   * @param {CustomAttribute.constructor} customAttribute Class for the custom attribute
+   *
+   * @return {string|null}
+   */
+  getName(customAttribute) {
+    for (const [name, definition] of this.#registry.definitions) {
+      if (definition.customAttribute === customAttribute) {
+        return name;
+      }
+    }
+    return this.parent?.getName(customAttribute) ?? null;
+  }
+
+  /**
+   * Wait for a name to be defined in this registry or one of its parents, and for its class to load if lazy
+   *
+   * @param {string} name Attribute name
+   *
+   * @return {Promise<CustomAttribute.constructor>}
+   */
+  whenDefined(name) {
+    const customAttribute = this.get(name);
+    if (customAttribute) {
+      return Promise.resolve(customAttribute);
+    }
+    let pending = this.#registry.pending.get(name);
+    if (!pending) {
+      pending = {};
+      pending.promise = new Promise((resolve) => {
+        pending.resolve = resolve;
+      });
+      this.#registry.pending.set(name, pending);
+    }
+    return pending.promise;
+  }
+
+  /**
+   * Connect the defined attributes in a subtree once, without observing it
+   *
+   * @param {Node} root Document, shadow root or element
    *
    * @return {void}
    */
-  changedCallback(_newValue, _oldValue) {
-    // console.log("native changed");
+  upgrade(root) {
+    upgradeIn(this.#registry, root, definitionsOf(this.#registry).keys());
   }
 
   /**
-   * Callback for when attribute gets removed or the host element gets removed from DOM
+   * Run the `static render` hooks of the defined attributes in a subtree, without connecting them
+   *
+   * Hosts rendered by a class overriding `static render` are marked with a `data-ca-hydrated` attribute holding the returned render state, so
+   * they get `hydratedCallback` instead of `connectedCallback` once connected. Throws if an attribute value
+   * can't be parsed. Hosts added by a render hook and lazy definitions that haven't loaded yet are skipped.
+   *
+   * @param {Node} root Document, document fragment, shadow root or element
    *
    * @return {void}
    */
-  disconnectedCallback() {
-    // console.log("native removed");
+  render(root) {
+    const registry = this.#registry;
+    for (const element of elementsIn(registry, root)) {
+      for (const name of namesFor(registry, element)) {
+        const { customAttribute } = definitionFor(registry, name).definition;
+        if (
+          !customAttribute ||
+          customAttribute.render === CustomAttribute.render
+        ) {
+          continue;
+        }
+        const state = customAttribute.render(
+          element,
+          converterFor(customAttribute.type).fromAttribute(
+            element.getAttribute(name)
+          )
+        );
+        markHydrated(element, name, state);
+      }
+    }
+  }
+
+  /**
+   * Make a document, shadow root or element the scope of this registry and start observing it
+   *
+   * If observing or upgrading the root fails, it is detached again before the error is rethrown, so it can be
+   * attached later.
+   *
+   * @param {Node} root Document, shadow root or element
+   *
+   * @return {CustomAttributeRegistry}
+   */
+  attach(root) {
+    if (scopes.has(root)) {
+      throw new CustomAttributeError(
+        "ALREADY_ATTACHED",
+        `Failed to execute 'attach' on 'CustomAttributeRegistry': ${root} is already attached to a registry.`
+      );
+    }
+    const registry = this.#registry;
+    const previousOwner = ownerOf(root);
+    scopes.set(root, registry);
+    registry.roots.add(root);
+    if (previousOwner) {
+      release(previousOwner, root);
+    }
+    try {
+      trackShadowRoots(registry, root);
+      observe(registry);
+      this.upgrade(root);
+    } catch (error) {
+      this.detach(root);
+      throw error;
+    }
+    return this;
+  }
+
+  /**
+   * Stop observing a root and disconnect all instances in it
+   *
+   * The root falls back to the scope of the surrounding registry, if any. Instances that registry defines
+   * with the same class are handed over to it, everything else it defines is upgraded.
+   *
+   * @param {Node} root Document, shadow root or element previously attached
+   *
+   * @return {void}
+   */
+  detach(root) {
+    const registry = this.#registry;
+    if (scopes.get(root) !== registry) {
+      throw new CustomAttributeError(
+        "NOT_ATTACHED",
+        `Failed to execute 'detach' on 'CustomAttributeRegistry': ${root} is not attached to this registry.`
+      );
+    }
+    scopes.delete(root);
+    registry.roots.delete(root);
+    const owner = ownerOf(root);
+    if (owner) {
+      trackShadowRoots(owner, root);
+    }
+    release(registry, root);
+    untrackShadowRoots(registry, root);
+    observe(registry);
+
+    if (owner) {
+      upgradeIn(owner, root, definitionsOf(owner).keys());
+    }
+  }
+}
+
+/**
+ * Default registry, attached to the document
+ */
+export const customAttributes = new CustomAttributeRegistry();
+
+if (typeof document !== "undefined") {
+  customAttributes.attach(document);
+  // Manifests in the markup turn on declarative registration, pages adding them later call `watchManifests`
+  if (document.querySelector(manifestSelector)) {
+    watchManifests(document);
+  }
+}
+
+/**
+ * Get the registry for a root, attaching a new scoped registry that inherits from the surrounding scope
+ *
+ * @param {Node} root Root node
+ *
+ * @return {CustomAttributeRegistry}
+ */
+function registryFor(root) {
+  const registry = scopes.get(root);
+  if (registry) {
+    return registry.api;
   }
+  // Roots of other DOM implementations, like a jsdom document, are observed with their own window
+  const scopedRegistry = new CustomAttributeRegistry({
+    parent: ownerOf(root)?.api ?? customAttributes,
+    window: (root.ownerDocument ?? root).defaultView ?? undefined,
+  }).attach(root);
+  implicitRegistries.add(scopedRegistry);
+  return scopedRegistry;
 }
 
 /**
  * Register a custom attribute
- * @param {string} name The name of the custom attribute
- * @param {CustomAttribute.constructor} customAttribute Class for the custom attribute
- * @param {HTMLElement} [root=document] Root node for scoping mutation observers
- * @param {boolean} [childList=false] Specify if children of root should be observed as well
+ *
+ * Throws an `InvalidArgumentError` for arguments of the wrong kind and a `DuplicateDefinitionError` if the
+ * name is already registered on root.
+ * @param {string} name The name of the custom attribute, or a pattern like "on:*"
+ * @param {CustomAttribute.constructor|(() => Promise<any>)} customAttribute Class for the custom attribute, or a
+ * function loading it
+ * @param {Document|ShadowRoot|Element} [root=document] Root node for scoping mutation observers
+ * @param {boolean} [childList=true] Specify if children of root should be observed as well
+ * @param {Object} [options]
+ * @param {boolean} [options.shadowRoots=false] Also observe elements inside open shadow roots below root
+ * @param {UpgradeStrategy} [options.upgrade="eager"] When hosts get their instance
  * @returns
  */
 export function registerAttribute(
   name,
   customAttribute,
-  root = document,
-  childList = true
+  root = globalThis.document,
+  childList = true,
+  { shadowRoots = false, upgrade = "eager" } = {}
 ) {
   if (typeof name !== "string") {
-    throw new Error(
+    throw new InvalidArgumentError(
+      "INVALID_NAME_TYPE",
       `registerAttribute: expected parameter name to be of type string but received ${typeof name}`
     );
   }
 
-  if (!(customAttribute instanceof CustomAttribute)) {
-    throw new Error(
-      `registerAttribute: expected parameter customAttribute to be an instance of CustomAttribute but received ${customAttribute}`
+  if (
+    !isCustomAttributeClass(customAttribute) &&
+    !isLoaderFunction(customAttribute)
+  ) {
+    throw new InvalidArgumentError(
+      "INVALID_CLASS",
+      `registerAttribute: expected parameter customAttribute to be a subclass of CustomAttribute or a function loading one but received ${customAttribute}`
     );
   }
 
-  if (!(root instanceof HTMLElement)) {
-    throw new Error(
-      `registerAttribute: expected parameter root to be an instance of HTMLElement but received ${root}`
+  if (!isElement(root) && !isShadowRoot(root) && !isDocument(root)) {
+    throw new InvalidArgumentError(
+      "INVALID_ROOT",
+      `registerAttribute: expected parameter root to be a Document, ShadowRoot or Element but received ${root}`
     );
   }
 
   if (typeof childList !== "boolean") {
-    throw new Error(
+    throw new InvalidArgumentError(
+      "INVALID_CHILD_LIST",
       `registerAttribute: expected parameter childList to be of type boolean but received ${typeof childList}`
     );
   }
 
-  const observedElements = new WeakMap();
-  const existingObserver = registries.get(root);
-  let observer;
-  let attributeFilter = [name];
+  if (!childList && !isElement(root)) {
+    throw new InvalidArgumentError(
+      "INVALID_ROOT",
+      `registerAttribute: expected parameter root to be an Element when childList is false but received ${root}`
+    );
+  }
 
-  if (existingObserver) {
-    // Attribute observer already defined
-    if (existingObserver.attributes.includes(name)) {
-      console.error(
-        `Failed to execute 'registerAttribute': the name "${name}" has already been used within the scope of ${root}.`
-      );
-      return;
+  if (scopes.get(root)?.definitions.has(name)) {
+    throw new DuplicateDefinitionError(
+      "DUPLICATE_DEFINITION",
+      `Failed to execute 'registerAttribute': the name "${name}" has already been used within the scope of ${root}.`
+    );
+  }
+
+  const created = !scopes.has(root);
+  const registry = registryFor(root);
+  try {
+    registry.define(name, customAttribute, { childList, shadowRoots, upgrade });
+  } catch (error) {
+    // Don't keep a scope that only exists because of this call
+    if (
+      implicitRegistries.has(registry) &&
+      scopes.get(root)?.api === registry &&
+      !scopes.get(root).manifests &&
+      (created || scopes.get(root).definitions.size === 0)
+    ) {
+      registry.detach(root);
     }
-    observer = existingObserver.observer;
-    attributeFilter = [...attributeFilter, ...existingObserver.attributes];
-    // Reset observer to start observing with new attribute filter
-    observer.disconnect();
-  } else {
-    observer = new MutationObserver(mutationHandler);
+    throw error;
   }
+}
 
-  function mutationHandler(mutationList) {
-    for (let record of mutationList) {
-      // Element (or parent of element) got removed
-      if (record.type === "childList" && record.removedNodes.length > 0) {
-        for (let removedNode of record.removedNodes) {
-          if (!(removedNode instanceof Element)) {
-            continue;
-          }
-          if (
-            removedNode.hasAttribute(name) &&
-            observedElements.has(removedNode)
-          ) {
-            observedElements.get(removedNode)?.disconnectedCallback();
-            observedElements.delete(removedNode);
-          }
+/**
+ * Unregister a custom attribute, disconnecting all of its live instances
+ *
+ * The name can be registered again afterwards.
+ * @param {string} name The name of the custom attribute
+ * @param {Document|ShadowRoot|Element} [root=document] Root node the attribute was registered on
+ * @returns {boolean} Whether the name was registered on root
+ */
+export function unregisterAttribute(name, root = globalThis.document) {
+  const registry = scopes.get(root);
 
-          // Call disconnected callback on all removed child nodes
-          removedNode.querySelectorAll(`[${name}]`).forEach((node) => {
-            if (observedElements.has(node)) {
-              observedElements.get(node)?.disconnectedCallback();
-              observedElements.delete(node);
-            }
-          });
-        }
-        return;
-      }
+  if (!registry?.api.undefine(name)) {
+    return false;
+  }
 
-      // Element with attribute got added
-      if (record.type === "childList" && record.addedNodes.length > 0) {
-        for (let addedNode of record.addedNodes) {
-          if (!(addedNode instanceof Element)) {
-            continue;
-          }
-          if (addedNode.hasAttribute(name)) {
-            newAttribute(addedNode);
-          }
-          addedNode.querySelectorAll(`[${name}]`).forEach((node) => {
-            newAttribute(node);
-          });
-        }
-        return;
-      }
+  if (implicitRegistries.has(registry.api) && registry.definitions.size === 0) {
+    registry.api.detach(root);
+  }
+  return true;
+}
 
-      if (record.type === "attributes" && record.target instanceof Element) {
-        const newValue = record.target.getAttribute(name);
-        const oldValue = record.oldValue;
-
-        if (oldValue === null) {
-          // New attribute
-          newAttribute(record.target);
-        } else if (newValue === null && observedElements.has(record.target)) {
-          // Deleted
-          const cls = observedElements.get(record.target);
-          cls.disconnectedCallback();
-          observedElements.delete(record.target);
-        } else if (
-          newValue !== record.oldValue &&
-          observedElements.has(record.target)
-        ) {
-          // Change
-          const cls = observedElements.get(record.target);
-          cls.changedCallback(newValue, record.oldValue);
-        }
-      }
-    }
+/**
+ * Register the attributes declared in the manifests of a document, now and whenever manifests are added
+ *
+ * Runs when the library loads if the document contains a manifest. Call it for pages that add their first
+ * manifest later, or for other documents. Added manifests are picked up by the observer of the registry
+ * attached to the document.
+ *
+ * @param {Document} [document=document]
+ *
+ * @return {void}
+ */
+export function watchManifests(document = globalThis.document) {
+  if (!isDocument(document)) {
+    throw new InvalidArgumentError(
+      "INVALID_DOCUMENT",
+      `watchManifests: expected parameter document to be a Document but received ${document}`
+    );
   }
+  const registry = registries.get(registryFor(document));
+  if (registry.manifests) {
+    return;
+  }
+  registry.manifests = true;
+  readManifestsIn(document.documentElement);
+  observe(registry);
+}
 
-  /**
-   * Initiate a new instance
-   * @param {HTMLElement} element Element with target attribute
-   */
-  function newAttribute(element) {
-    const cls = new customAttribute(name, element);
-    cls.connectedCallback(element.getAttribute(name));
-    observedElements.set(element, cls);
+/**
+ * Read the manifests in the subtree of an element, skipping elements inside shadow roots
+ *
+ * @param {Element} element
+ *
+ * @return {void}
+ */
+function readManifestsIn(element) {
+  if (!isDocument(element.getRootNode())) {
+    return;
   }
+  if (element.matches(manifestSelector)) {
+    readManifest(element);
+  }
+  element.querySelectorAll(manifestSelector).forEach(readManifest);
+}
 
-  // Start listening to changes
-  observer.observe(root, { ...observerConfig, attributeFilter, childList });
+/**
+ * Register the attributes of a manifest with loaders importing their modules
+ *
+ * A manifest is either a `<script type="custom-attributes">` holding a JSON object of names to module URLs, or
+ * a `<custom-attribute-definition name src>` element. URLs are resolved against the base URL of the document
+ * and have to share its origin, so injected markup can't load scripts from elsewhere. Invalid entries are
+ * logged and skipped.
+ *
+ * @param {Element} element
+ *
+ * @return {void}
+ */
+function readManifest(element) {
+  if (readManifests.has(element)) {
+    return;
+  }
+  readManifests.add(element);
 
-  // Initial pass
-  if (childList) {
-    root.querySelectorAll(`[${name}]`).forEach((element) => {
-      newAttribute(element);
-    });
-  } else if (root instanceof Element) {
-    newAttribute(root);
+  let entries;
+  if (element.localName === "script") {
+    try {
+      entries = Object.entries(JSON.parse(element.textContent) ?? {});
+    } catch (error) {
+      console.error(error);
+      return;
+    }
   } else {
-    throw new Error(
-      `Custom Attribute: Can't register custom attribute on root (${root}) of type ${typeof root}. Root must be a valid element node.`
-    );
+    entries = [[element.getAttribute("name"), element.getAttribute("src")]];
+  }
+
+  for (const [name, src] of entries) {
+    try {
+      if (typeof src !== "string") {
+        throw new InvalidArgumentError(
+          "INVALID_SOURCE",
+          `custom-attributes: expected a module URL for "${name}" but received ${src}`
+        );
+      }
+      const url = new URL(src, element.baseURI);
+      const { origin } = element.ownerDocument.defaultView.location;
+      if (url.origin !== origin) {
+        throw new InvalidArgumentError(
+          "INVALID_SOURCE",
+          `custom-attributes: expected the module URL for "${name}" to have the origin ${origin} but received ${url.href}`
+        );
+      }
+      registerAttribute(name, () => import(url.href), element.ownerDocument);
+    } catch (error) {
+      console.error(error);
+    }
   }
 }
+
+/**
+ * Get the live instance of an attribute on an element
+ *
+ * @param {Element} element Host element
+ * @param {string} name Attribute name
+ *
+ * @return {CustomAttribute|null} Null if the element has no connected instance of the attribute
+ */
+export function getAttributeInstance(element, name) {
+  return ownerOf(element)?.instances.get(element)?.get(name) ?? null;
+}
+
+/**
+ * Get all live instances on an element
+ *
+ * @param {Element} element Host element
+ *
+ * @return {Map<string, CustomAttribute>} Instances by attribute name
+ */
+export function getAttributeInstances(element) {
+  return new Map(ownerOf(element)?.instances.get(element));
+}
@@ -0,0 +1,47 @@
+import { CustomAttributeRegistry, InvalidArgumentError } from "./main.js";
+
+/**
+ * Pre-render attribute driven markup in an HTML string by running the `static render` hooks of the defined
+ * attributes
+ *
+ * Works with any DOM implementation that supports `<template>`, like jsdom, happy-dom or linkedom.
+ *
+ * @param {string} html HTML fragment
+ * @param {CustomAttributeRegistry|Object<string, CustomAttribute.constructor>} definitions Registry or map of attribute names to classes
+ * @param {Object} options
+ * @param {Document} options.document Document of the DOM implementation used for parsing
+ *
+ * @return {string} Rendered HTML
+ */
+export function renderToString(html, definitions, { document } = {}) {
+  if (typeof html !== "string") {
+    throw new InvalidArgumentError(
+      "INVALID_HTML",
+      `renderToString: expected parameter html to be of type string but received ${typeof html}`
+    );
+  }
+
+  if (!document?.createElement) {
+    throw new InvalidArgumentError(
+      "INVALID_DOCUMENT",
+      `renderToString: expected option document to be a Document but received ${document}`
+    );
+  }
+
+  let registry = definitions;
+  if (!(definitions instanceof CustomAttributeRegistry)) {
+    registry = new CustomAttributeRegistry();
+    for (const [name, customAttribute] of Object.entries(definitions)) {
+      registry.define(name, customAttribute);
+    }
+  }
+
+  // Parse inert, then serialize through a container since some implementations copy template content
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  const content = template.content;
+  registry.render(content);
+  const container = document.createElement("div");
+  container.append(content);
+  return container.innerHTML;
+}
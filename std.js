@@ -0,0 +1,512 @@
+import { CustomAttribute } from "./main.js";
+
+/**
+ * Converter for numbers that fall back to a default for missing or empty values
+ *
+ * @param {number} fallback
+ *
+ * @return {{fromAttribute: (value: string|null) => number, toAttribute: (value: number) => string}}
+ */
+function optionalNumber(fallback) {
+  return {
+    fromAttribute: (value) => {
+      if (value === null || value.trim() === "") {
+        return fallback;
+      }
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        throw new TypeError(`Can't parse "${value}" as a number`);
+      }
+      return number;
+    },
+    toAttribute: (value) => String(value),
+  };
+}
+
+/**
+ * Dispatch a bubbling custom event on a host, created in the realm of the host
+ *
+ * @param {Element} host
+ * @param {string} type
+ * @param {any} [detail]
+ *
+ * @return {void}
+ */
+function dispatch(host, type, detail) {
+  const { CustomEvent } = host.ownerDocument.defaultView;
+  host.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+}
+
+/**
+ * Call a function after a delay with the timers of the host's window, which can differ from the window the
+ * library runs in
+ *
+ * @param {Element} host
+ * @param {() => void} callback
+ * @param {number} delay
+ *
+ * @return {() => void} Cancels the call, with the timers of the same window even if the host moved since
+ */
+function later(host, callback, delay) {
+  const view = host.ownerDocument.defaultView;
+  const timeout = view.setTimeout(callback, delay);
+  return () => view.clearTimeout(timeout);
+}
+
+// Elements that can receive keyboard focus
+const focusableSelector = [
+  "a[href]",
+  "area[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type=hidden])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "iframe",
+  "[contenteditable]",
+  "[tabindex]",
+].join(", ");
+
+// Units for relative times with their length in seconds, largest first
+const timeUnits = [
+  ["year", 31536000],
+  ["month", 2592000],
+  ["week", 604800],
+  ["day", 86400],
+  ["hour", 3600],
+  ["minute", 60],
+  ["second", 1],
+];
+
+/**
+ * Grow a textarea with its content. The value is an optional maximum height in pixels, the textarea
+ * scrolls beyond it
+ *
+ * `<textarea auto-size="300"></textarea>`
+ */
+export class Autosize extends CustomAttribute {
+  static type = optionalNumber(Infinity);
+
+  static events = { input: "resize" };
+
+  #style = null;
+
+  #max = Infinity;
+
+  connectedCallback(max) {
+    const { height, overflowY } = this.host.style;
+    this.#style = { height, overflowY };
+    this.#max = max ?? Infinity;
+    this.resize();
+  }
+
+  changedCallback(max) {
+    this.#max = max ?? Infinity;
+    this.resize();
+  }
+
+  disconnectedCallback() {
+    Object.assign(this.host.style, this.#style);
+  }
+
+  /**
+   * Fit the height to the content. Call it after setting the value of the textarea from script, which
+   * doesn't fire an input event
+   *
+   * @return {void}
+   */
+  resize() {
+    const { host } = this;
+    host.style.height = "auto";
+    const height = host.scrollHeight + host.offsetHeight - host.clientHeight;
+    host.style.height = `${Math.min(height, this.#max)}px`;
+    host.style.overflowY = height > this.#max ? "auto" : "hidden";
+  }
+}
+
+/**
+ * Dispatch an event on the host for clicks outside of it, e.g. to close a menu. The value names the event,
+ * "click-outside" by default. The original click is passed as `detail`
+ *
+ * `<nav click-outside="menu-close"></nav>`
+ */
+export class ClickOutside extends CustomAttribute {
+  static events = { "document:click": "onDocumentClick" };
+
+  /**
+   * @param {MouseEvent} event
+   *
+   * @return {void}
+   */
+  onDocumentClick(event) {
+    if (!event.composedPath().includes(this.host)) {
+      dispatch(this.host, this.value || "click-outside", event);
+    }
+  }
+}
+
+/**
+ * Keep keyboard focus inside the host while the value is not "false", e.g. for dialogs. Focuses the first
+ * focusable element when activated and restores the previous focus when deactivated
+ *
+ * `<div role="dialog" focus-trap></div>`
+ */
+export class FocusTrap extends CustomAttribute {
+  static type = Boolean;
+
+  static events = {
+    "keydown.tab": "onTab",
+    "document:focusin": "onFocusIn",
+  };
+
+  #active = false;
+
+  #previous = null;
+
+  connectedCallback(active) {
+    if (active) {
+      this.activate();
+    }
+  }
+
+  changedCallback(active) {
+    if (active) {
+      this.activate();
+    } else {
+      this.deactivate();
+    }
+  }
+
+  disconnectedCallback() {
+    this.deactivate();
+  }
+
+  /**
+   * @return {Element[]} Focusable elements inside the host, in document order
+   */
+  focusable() {
+    return [...this.host.querySelectorAll(focusableSelector)].filter(
+      (element) =>
+        element.tabIndex >= 0 && !element.closest("[hidden], [inert]")
+    );
+  }
+
+  /**
+   * @return {void}
+   */
+  activate() {
+    if (this.#active) {
+      return;
+    }
+    this.#active = true;
+    const { activeElement } = this.host.getRootNode();
+    this.#previous = activeElement;
+    if (!this.host.contains(activeElement)) {
+      this.focusable()[0]?.focus();
+    }
+  }
+
+  /**
+   * @return {void}
+   */
+  deactivate() {
+    if (!this.#active) {
+      return;
+    }
+    this.#active = false;
+    this.#previous?.focus?.();
+    this.#previous = null;
+  }
+
+  /**
+   * Wrap around at the first and last focusable element
+   *
+   * @param {KeyboardEvent} event
+   *
+   * @return {void}
+   */
+  onTab(event) {
+    if (!this.#active) {
+      return;
+    }
+    const elements = this.focusable();
+    const { activeElement } = this.host.getRootNode();
+    const index = elements.indexOf(activeElement);
+    if (event.shiftKey && index <= 0) {
+      event.preventDefault();
+      elements.at(-1)?.focus();
+    } else if (!event.shiftKey && index === elements.length - 1) {
+      event.preventDefault();
+      elements[0]?.focus();
+    }
+  }
+
+  /**
+   * Pull focus back when it moves outside, e.g. by clicking
+   *
+   * @param {FocusEvent} event
+   *
+   * @return {void}
+   */
+  onFocusIn(event) {
+    if (this.#active && !event.composedPath().includes(this.host)) {
+      this.focusable()[0]?.focus();
+    }
+  }
+}
+
+/**
+ * Dispatch "intersect-enter" and "intersect-leave" events when the host enters or leaves the viewport, with
+ * the `IntersectionObserverEntry` as `detail`. The value is the visible ratio that counts as entered, 0 by
+ * default. The host carries the state "visible" while it is in the viewport
+ *
+ * `<section in-view="0.5"></section>`
+ */
+export class Intersect extends CustomAttribute {
+  static type = optionalNumber(0);
+
+  #observer = null;
+
+  #visible = false;
+
+  connectedCallback(threshold) {
+    this.observe(threshold ?? 0);
+  }
+
+  changedCallback(threshold) {
+    this.observe(threshold ?? 0);
+  }
+
+  disconnectedCallback() {
+    this.#observer?.disconnect();
+  }
+
+  /**
+   * @param {number} threshold
+   *
+   * @return {void}
+   */
+  observe(threshold) {
+    this.#observer?.disconnect();
+    const { IntersectionObserver } = this.host.ownerDocument.defaultView;
+    this.#observer = new IntersectionObserver(
+      (entries) => {
+        const entry = entries.at(-1);
+        const visible =
+          entry.isIntersecting && entry.intersectionRatio >= threshold;
+        if (visible === this.#visible) {
+          return;
+        }
+        this.#visible = visible;
+        if (visible) {
+          this.states.add("visible");
+        } else {
+          this.states.delete("visible");
+        }
+        dispatch(
+          this.host,
+          visible ? "intersect-enter" : "intersect-leave",
+          entry
+        );
+      },
+      { threshold }
+    );
+    this.#observer.observe(this.host);
+  }
+}
+
+/**
+ * Copy text to the clipboard when the host is clicked. The value is a selector for the element to copy
+ * from, its `value` or text content, and the text of the host itself if empty. Dispatches "copied" with the
+ * text or "copy-error" with the error as `detail`, and carries the state "copied" for two seconds
+ *
+ * `<button copy-to-clipboard="#invite-link">Copy</button>`
+ */
+export class CopyToClipboard extends CustomAttribute {
+  static events = { click: "copy" };
+
+  #cancel = null;
+
+  disconnectedCallback() {
+    this.#cancel?.();
+  }
+
+  /**
+   * @return {string} Text to copy
+   */
+  text() {
+    const source = this.value
+      ? this.host.getRootNode().querySelector(this.value)
+      : this.host;
+    if (!source) {
+      return "";
+    }
+    return "value" in source && typeof source.value === "string"
+      ? source.value
+      : source.textContent;
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  async copy() {
+    let text;
+    try {
+      text = this.text();
+      await this.host.ownerDocument.defaultView.navigator.clipboard.writeText(
+        text
+      );
+    } catch (error) {
+      dispatch(this.host, "copy-error", error);
+      return;
+    }
+    if (this.signal.aborted) {
+      return;
+    }
+    this.states.add("copied");
+    this.#cancel?.();
+    this.#cancel = later(this.host, () => this.states.delete("copied"), 2000);
+    dispatch(this.host, "copied", text);
+  }
+}
+
+/**
+ * Set the `src` of an image, iframe or video once the host gets close to the viewport. The value is the URL
+ *
+ * `<img lazy-src="/photos/large.jpg" alt="">`
+ */
+export class LazySrc extends CustomAttribute {
+  #observer = null;
+
+  #loaded = false;
+
+  connectedCallback() {
+    const { IntersectionObserver } = this.host.ownerDocument.defaultView;
+    this.#observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          this.#observer.disconnect();
+          this.#loaded = true;
+          this.host.setAttribute("src", this.value);
+        }
+      },
+      { rootMargin: "200px" }
+    );
+    this.#observer.observe(this.host);
+  }
+
+  changedCallback(src) {
+    if (this.#loaded && src !== null) {
+      this.host.setAttribute("src", src);
+    }
+  }
+
+  disconnectedCallback() {
+    this.#observer.disconnect();
+  }
+}
+
+/**
+ * Show a date relative to now, like "3 minutes ago" or "tomorrow", and keep it up to date. The value is a
+ * date string, the language is taken from the closest `lang` attribute. The original text is restored on
+ * disconnect
+ *
+ * `<time relative-time="2024-05-01T12:00:00Z">May 1, 2024</time>`
+ */
+export class RelativeTime extends CustomAttribute {
+  static type = {
+    fromAttribute: (value) => {
+      const date = new Date(value);
+      if (value === null || Number.isNaN(date.getTime())) {
+        throw new TypeError(`Can't parse "${value}" as a date`);
+      }
+      return date;
+    },
+    toAttribute: (value) => value.toISOString(),
+  };
+
+  #text = null;
+
+  #cancel = null;
+
+  connectedCallback(date) {
+    this.#text = this.host.textContent;
+    this.render(date);
+  }
+
+  changedCallback(date) {
+    this.render(date);
+  }
+
+  disconnectedCallback() {
+    this.#cancel?.();
+    this.host.textContent = this.#text;
+  }
+
+  /**
+   * Render the relative time and schedule the next render, every second for the first minute, then every
+   * minute for the first hour and every hour after that
+   *
+   * @param {Date|undefined} date
+   *
+   * @return {void}
+   */
+  render(date) {
+    this.#cancel?.();
+    if (!date) {
+      this.host.textContent = this.#text;
+      return;
+    }
+    const seconds = (date.getTime() - Date.now()) / 1000;
+    const [unit, size] = timeUnits.find(
+      ([, size]) => Math.abs(seconds) >= size
+    ) ?? ["second", 1];
+    const format = new Intl.RelativeTimeFormat(
+      this.host.closest("[lang]")?.lang || undefined,
+      { numeric: "auto" }
+    );
+    this.host.textContent = format.format(Math.round(seconds / size), unit);
+
+    const delay = Math.min(Math.max(size, 1), 3600) * 1000;
+    this.#cancel = later(this.host, () => this.render(date), delay);
+  }
+}
+
+/**
+ * Dispatch a "debounced-input" event once the user stops typing, with the value of the host as `detail`.
+ * The value is the delay in milliseconds, 300 by default
+ *
+ * `<input type="search" debounced-input="500">`
+ */
+export class DebouncedInput extends CustomAttribute {
+  static type = optionalNumber(300);
+
+  static events = { input: "onInput" };
+
+  #delay = 300;
+
+  #cancel = null;
+
+  connectedCallback(delay) {
+    this.#delay = delay ?? 300;
+  }
+
+  changedCallback(delay) {
+    this.#delay = delay ?? 300;
+  }
+
+  disconnectedCallback() {
+    this.#cancel?.();
+  }
+
+  /**
+   * @return {void}
+   */
+  onInput() {
+    this.#cancel?.();
+    this.#cancel = later(
+      this.host,
+      () => dispatch(this.host, "debounced-input", this.host.value),
+      this.#delay
+    );
+  }
+}
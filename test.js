@@ -1,4 +1,27 @@
-import { CustomAttribute, registerAttribute } from "./main.js";
+import {
+  AttributeNameError,
+  CustomAttribute,
+  CustomAttributeError,
+  CustomAttributeRegistry,
+  customAttributes,
+  DuplicateDefinitionError,
+  getAttributeInstance,
+  getAttributeInstances,
+  InvalidArgumentError,
+  registerAttribute,
+  unregisterAttribute,
+  watchManifests,
+} from "./main.js";
 
+window.AttributeNameError = AttributeNameError;
 window.CustomAttribute = CustomAttribute;
+window.CustomAttributeError = CustomAttributeError;
+window.CustomAttributeRegistry = CustomAttributeRegistry;
+window.customAttributes = customAttributes;
+window.DuplicateDefinitionError = DuplicateDefinitionError;
+window.getAttributeInstance = getAttributeInstance;
+window.getAttributeInstances = getAttributeInstances;
+window.InvalidArgumentError = InvalidArgumentError;
 window.registerAttribute = registerAttribute;
+window.unregisterAttribute = unregisterAttribute;
+window.watchManifests = watchManifests;
@@ -0,0 +1,39 @@
+import { JSDOM } from "jsdom";
+import { Window } from "happy-dom";
+import { parseHTML } from "linkedom";
+
+const html = `<!DOCTYPE html><html><head></head><body></body></html>`;
+
+/**
+ * DOM implementations the library is tested against, each creating a fresh window
+ */
+export const environments = {
+  jsdom: () => new JSDOM(html).window,
+  "happy-dom": () => {
+    const window = new Window();
+    window.document.write(html);
+    return window;
+  },
+  linkedom: () => parseHTML(html),
+};
+
+/**
+ * Wait for pending mutation observer callbacks
+ *
+ * @return {Promise<void>}
+ */
+export function nextTask() {
+  return new Promise((resolve) => setTimeout(resolve));
+}
+
+/**
+ * Release resources held by a window, like happy-dom's timers
+ *
+ * @param {Window} window
+ *
+ * @return {Promise<void>}
+ */
+export async function closeWindow(window) {
+  await window.happyDOM?.close();
+  window.close?.();
+}
@@ -0,0 +1,137 @@
+import { describe, test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { environments, nextTask, closeWindow } from "./environments.mjs";
+import {
+  CustomAttribute,
+  CustomAttributeRegistry,
+  getAttributeInstance,
+  registerAttribute,
+  unregisterAttribute,
+} from "../main.js";
+
+for (const [environment, createWindow] of Object.entries(environments)) {
+  describe(`Registry in ${environment}`, () => {
+    let window;
+
+    afterEach(async () => {
+      await closeWindow(window);
+    });
+
+    /**
+     * Create a registry for a fresh window, recording lifecycle calls of "testing-attribute"
+     */
+    function setup(body) {
+      window = createWindow();
+      window.document.body.innerHTML = body;
+      const calls = [];
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback(value) {
+          calls.push(["connected", value]);
+        }
+        changedCallback(newValue, oldValue) {
+          calls.push(["changed", newValue, oldValue]);
+        }
+        disconnectedCallback() {
+          calls.push(["disconnected"]);
+        }
+      }
+      const registry = new CustomAttributeRegistry({ window });
+      registry.define("testing-attribute", TestingAttribute);
+      registry.attach(window.document);
+      return { calls, document: window.document };
+    }
+
+    test("connects existing elements on attach", () => {
+      const { calls } = setup(`<p testing-attribute="initial"></p>`);
+      assert.deepEqual(calls, [["connected", "initial"]]);
+    });
+
+    test("calls changedCallback when the value changes", async () => {
+      const { calls, document } = setup(`<p testing-attribute="initial"></p>`);
+      document.querySelector("p").setAttribute("testing-attribute", "changed");
+      await nextTask();
+      assert.deepEqual(calls.at(-1), ["changed", "changed", "initial"]);
+    });
+
+    test("connects and disconnects added and removed elements", async () => {
+      const { calls, document } = setup("");
+      const el = document.createElement("p");
+      el.setAttribute("testing-attribute", "added");
+      document.body.append(el);
+      await nextTask();
+      el.remove();
+      await nextTask();
+      assert.deepEqual(calls, [["connected", "added"], ["disconnected"]]);
+    });
+
+    test("registers and unregisters attributes on the document of the window", async () => {
+      window = createWindow();
+      const { document } = window;
+      document.body.innerHTML = `<p registered-attribute="initial"></p>`;
+      const calls = [];
+      class RegisteredAttribute extends CustomAttribute {
+        connectedCallback(value) {
+          calls.push(["connected", value]);
+        }
+        changedCallback(newValue) {
+          calls.push(["changed", newValue]);
+        }
+        disconnectedCallback() {
+          calls.push(["disconnected"]);
+        }
+      }
+      registerAttribute("registered-attribute", RegisteredAttribute, document);
+      document
+        .querySelector("p")
+        .setAttribute("registered-attribute", "changed");
+      await nextTask();
+      assert.equal(unregisterAttribute("registered-attribute", document), true);
+      assert.deepEqual(calls, [
+        ["connected", "initial"],
+        ["changed", "changed"],
+        ["disconnected"],
+      ]);
+
+      // The document is free again
+      new CustomAttributeRegistry({ window }).attach(document);
+    });
+
+    test("upgrades eagerly when an upgrade strategy isn't supported", () => {
+      window = createWindow();
+      window.IntersectionObserver = undefined;
+      window.matchMedia = undefined;
+      window.document.body.innerHTML = `<p visible-attribute></p><p media-attribute></p>`;
+      const connected = [];
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback() {
+          connected.push(this.name);
+        }
+      }
+      const registry = new CustomAttributeRegistry({ window });
+      registry.define("visible-attribute", TestingAttribute, {
+        upgrade: "visible",
+      });
+      registry.define("media-attribute", class extends TestingAttribute {}, {
+        upgrade: { media: "(min-width: 600px)" },
+      });
+      registry.attach(window.document);
+      assert.deepEqual(connected, ["visible-attribute", "media-attribute"]);
+    });
+
+    test("leaves the root detached when attaching fails", () => {
+      window = createWindow();
+      window.document.body.innerHTML = `<p testing-attribute="initial"></p>`;
+      class TestingAttribute extends CustomAttribute {}
+      // A window without MutationObserver can't observe the root
+      const broken = new CustomAttributeRegistry({ window: {} });
+      broken.define("testing-attribute", TestingAttribute);
+      assert.throws(() => broken.attach(window.document), TypeError);
+
+      const registry = new CustomAttributeRegistry({ window });
+      registry.define("testing-attribute", TestingAttribute);
+      registry.attach(window.document);
+      const host = window.document.querySelector("p");
+      assert.ok(getAttributeInstance(host, "testing-attribute"));
+    });
+  });
+}
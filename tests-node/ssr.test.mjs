@@ -0,0 +1,133 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { environments, nextTask, closeWindow } from "./environments.mjs";
+import { CustomAttribute, CustomAttributeRegistry } from "../main.js";
+import { renderToString } from "../ssr.js";
+
+class BadgeCount extends CustomAttribute {
+  static type = Number;
+
+  static render(host, value) {
+    host.innerHTML = `<span class="badge">${value}</span>`;
+    return { rendered: value };
+  }
+}
+
+for (const [environment, createWindow] of Object.entries(environments)) {
+  describe(`renderToString in ${environment}`, () => {
+    let window;
+
+    beforeEach(() => {
+      window = createWindow();
+    });
+
+    afterEach(async () => {
+      await closeWindow(window);
+    });
+
+    /**
+     * Parse rendered HTML back into the document body
+     */
+    function parse(html) {
+      window.document.body.innerHTML = html;
+      return window.document.body;
+    }
+
+    test("runs static render hooks with parsed values", () => {
+      const body = parse(
+        renderToString(
+          `<button badge-count="3">Inbox</button><p>Unrelated</p>`,
+          { "badge-count": BadgeCount },
+          { document: window.document }
+        )
+      );
+      assert.equal(
+        body.querySelector("button").innerHTML,
+        `<span class="badge">3</span>`
+      );
+      assert.equal(body.querySelector("p").innerHTML, "Unrelated");
+    });
+
+    test("marks rendered hosts with their render state", () => {
+      const registry = new CustomAttributeRegistry();
+      registry.define("badge-count", BadgeCount);
+      const body = parse(
+        renderToString(`<i badge-count="1"></i><b></b>`, registry, {
+          document: window.document,
+        })
+      );
+      assert.deepEqual(
+        JSON.parse(body.querySelector("i").getAttribute("data-ca-hydrated")),
+        { "badge-count": { rendered: 1 } }
+      );
+      assert.equal(
+        body.querySelector("b").hasAttribute("data-ca-hydrated"),
+        false
+      );
+    });
+
+    test("throws for values that can't be parsed", () => {
+      assert.throws(
+        () =>
+          renderToString(
+            `<i badge-count="many"></i>`,
+            { "badge-count": BadgeCount },
+            { document: window.document }
+          ),
+        TypeError
+      );
+    });
+
+    test("hydrates rendered hosts instead of connecting them", async () => {
+      const calls = [];
+      class HydratingBadge extends BadgeCount {
+        connectedCallback(value) {
+          calls.push(["connected", value]);
+        }
+        hydratedCallback(state) {
+          calls.push(["hydrated", state]);
+        }
+      }
+      const html = renderToString(
+        `<i badge-count="1"></i>`,
+        { "badge-count": BadgeCount },
+        { document: window.document }
+      );
+      const body = parse(`${html}<i badge-count="2"></i>`);
+      const registry = new CustomAttributeRegistry({ window });
+      registry.define("badge-count", HydratingBadge);
+      registry.attach(window.document);
+
+      // Hydration only happens once, re-adding the host connects it as usual
+      const host = body.querySelector("i");
+      host.remove();
+      await nextTask();
+      body.append(host);
+      await nextTask();
+
+      assert.deepEqual(calls, [
+        ["hydrated", { rendered: 1 }],
+        ["connected", 2],
+        ["connected", 1],
+      ]);
+    });
+
+    test("hydrates every attribute of a host with an empty marker", () => {
+      const calls = [];
+      class TestingAttribute extends CustomAttribute {
+        hydratedCallback(state) {
+          calls.push([this.name, state]);
+        }
+      }
+      parse(`<p testing-attribute other-attribute data-ca-hydrated></p>`);
+      const registry = new CustomAttributeRegistry({ window });
+      registry.define("testing-attribute", TestingAttribute);
+      registry.define("other-attribute", TestingAttribute);
+      registry.attach(window.document);
+      assert.deepEqual(calls, [
+        ["testing-attribute", undefined],
+        ["other-attribute", undefined],
+      ]);
+    });
+  });
+}
@@ -0,0 +1,104 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+  await page.evaluate(async () => {
+    window.calls = [];
+    window.TestingAttribute = class extends CustomAttribute {
+      static events = { "document:keydown": "onKeydown" };
+
+      connectedCallback(value) {
+        window.calls.push(["connected", value]);
+      }
+      changedCallback(newValue) {
+        window.calls.push(["changed", newValue]);
+      }
+      disconnectedCallback() {
+        window.calls.push(["disconnected"]);
+      }
+      adoptedCallback(oldDocument, newDocument) {
+        window.calls.push([
+          "adopted",
+          oldDocument === document,
+          newDocument === window.frame.contentDocument,
+        ]);
+      }
+      onKeydown(event) {
+        window.calls.push(["keydown", event.target.ownerDocument === document]);
+      }
+    };
+    document.body.innerHTML = '<p id="host" adopted-attribute="a"></p>';
+    customAttributes.define("adopted-attribute", window.TestingAttribute);
+
+    window.frame = document.createElement("iframe");
+    const loaded = new Promise((resolve) =>
+      window.frame.addEventListener("load", resolve, { once: true })
+    );
+    document.body.append(window.frame);
+    await loaded;
+    window.calls = [];
+  });
+});
+
+test.describe("Adopting hosts into another document", () => {
+  test("should hand the instance over to the new document", async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      const host = document.getElementById("host");
+      const instance = getAttributeInstance(host, "adopted-attribute");
+      window.frame.contentDocument.body.append(host);
+      await new Promise((resolve) => setTimeout(resolve));
+      host.setAttribute("adopted-attribute", "b");
+      await new Promise((resolve) => setTimeout(resolve));
+      return getAttributeInstance(host, "adopted-attribute") === instance;
+    });
+    expect(result).toBe(true);
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["adopted", true, true],
+      ["changed", "b"],
+    ]);
+  });
+
+  test("should upgrade other hosts in the new document", async ({ page }) => {
+    await page.evaluate(async () => {
+      window.frame.contentDocument.body.append(document.getElementById("host"));
+      await new Promise((resolve) => setTimeout(resolve));
+      const other = window.frame.contentDocument.createElement("p");
+      other.setAttribute("adopted-attribute", "other");
+      window.frame.contentDocument.body.append(other);
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["adopted", true, true],
+      ["connected", "other"],
+    ]);
+  });
+
+  test("should bind static events to the new document", async ({ page }) => {
+    await page.evaluate(async () => {
+      const frameDocument = window.frame.contentDocument;
+      frameDocument.body.append(document.getElementById("host"));
+      await new Promise((resolve) => setTimeout(resolve));
+      document.dispatchEvent(new KeyboardEvent("keydown"));
+      frameDocument.dispatchEvent(
+        new window.frame.contentWindow.KeyboardEvent("keydown")
+      );
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["adopted", true, true],
+      ["keydown", false],
+    ]);
+  });
+
+  test("should disconnect hosts moved into template content", async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      const template = document.createElement("template");
+      template.content.append(document.getElementById("host"));
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([["disconnected"]]);
+  });
+});
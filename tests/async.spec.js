@@ -0,0 +1,83 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+});
+
+test.describe("Async lifecycle callbacks", () => {
+  test.beforeEach(async ({ page }) => {
+    await page.evaluate(() => {
+      window.calls = [];
+      window.clicks = 0;
+      class TestingAttribute extends CustomAttribute {
+        async connectedCallback(value) {
+          window.instance = this;
+          window.calls.push(["connected", value]);
+          this.host.addEventListener("click", () => window.clicks++, {
+            signal: this.signal,
+          });
+          await new Promise((resolve) => {
+            window.finishSetup = resolve;
+          });
+          window.calls.push(["setup done", this.signal.aborted]);
+        }
+        changedCallback(newValue, oldValue) {
+          window.calls.push(["changed", newValue, oldValue]);
+        }
+        disconnectedCallback() {
+          window.calls.push(["disconnected"]);
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+    });
+  });
+
+  test("should hold back callbacks until setup has finished", async ({
+    page,
+  }) => {
+    await page.getByTestId("el").evaluate(async (el) => {
+      el.setAttribute("testing-attribute", "changed");
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["connected", "test"],
+    ]);
+
+    await page.evaluate(async () => {
+      window.finishSetup();
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["connected", "test"],
+      ["setup done", false],
+      ["changed", "changed", "test"],
+    ]);
+  });
+
+  test("should abort the signal on disconnect and run disconnectedCallback after setup", async ({
+    page,
+  }) => {
+    await page.getByTestId("el").evaluate(async (el) => {
+      el.remove();
+      await new Promise((resolve) => setTimeout(resolve));
+      el.click();
+    });
+    expect(await page.evaluate(() => window.instance.signal.aborted)).toBe(
+      true
+    );
+    expect(await page.evaluate(() => window.clicks)).toBe(0);
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["connected", "test"],
+    ]);
+
+    await page.evaluate(async () => {
+      window.finishSetup();
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["connected", "test"],
+      ["setup done", true],
+      ["disconnected"],
+    ]);
+  });
+});
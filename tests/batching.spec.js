@@ -0,0 +1,123 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+  await page.evaluate(async () => {
+    window.calls = [];
+    class TestingAttribute extends CustomAttribute {
+      static observedAttributes = ["title"];
+      connectedCallback(value) {
+        window.calls.push(["connected", value]);
+      }
+      changedCallback(newValue, oldValue) {
+        window.calls.push(["changed", newValue, oldValue]);
+      }
+      hostAttributeChangedCallback(name, newValue, oldValue) {
+        window.calls.push(["host attribute", name, newValue, oldValue]);
+      }
+      disconnectedCallback() {
+        window.calls.push(["disconnected", this.host.dataset.testid]);
+      }
+    }
+    customAttributes.define("testing-attribute", TestingAttribute);
+    window.calls = [];
+    window.nextBatch = () => new Promise((resolve) => setTimeout(resolve));
+  });
+});
+
+test.describe("Mutation batches", () => {
+  test("should handle records following a removal", async ({ page }) => {
+    const calls = await page.evaluate(async () => {
+      document.querySelector('[data-testid="el"]').remove();
+      document
+        .querySelector('[data-testid="paragraph"]')
+        .setAttribute("testing-attribute", "added");
+      await nextBatch();
+      return window.calls;
+    });
+    expect(calls).toEqual([
+      ["disconnected", "el"],
+      ["connected", "added"],
+    ]);
+  });
+
+  test("should handle records following an addition", async ({ page }) => {
+    const calls = await page.evaluate(async () => {
+      const el = document.createElement("p");
+      el.setAttribute("testing-attribute", "new");
+      document.body.append(el);
+      document
+        .querySelector('[data-testid="el"]')
+        .setAttribute("testing-attribute", "changed");
+      await nextBatch();
+      return window.calls;
+    });
+    expect(calls).toEqual([
+      ["connected", "new"],
+      ["changed", "changed", "test"],
+    ]);
+  });
+
+  test("should treat a removal and re-insertion as a move", async ({
+    page,
+  }) => {
+    const calls = await page.evaluate(async () => {
+      const el = document.querySelector('[data-testid="el"]');
+      el.remove();
+      document.body.append(el);
+      await nextBatch();
+      return window.calls;
+    });
+    expect(calls).toEqual([]);
+  });
+
+  test("should report several value changes as one", async ({ page }) => {
+    const calls = await page.evaluate(async () => {
+      const el = document.querySelector('[data-testid="el"]');
+      el.setAttribute("testing-attribute", "first");
+      el.removeAttribute("testing-attribute");
+      el.setAttribute("testing-attribute", "last");
+      el.title = "a";
+      el.title = "b";
+      await nextBatch();
+      return window.calls;
+    });
+    expect(calls).toEqual([
+      ["changed", "last", "test"],
+      ["host attribute", "title", "b", null],
+    ]);
+  });
+
+  test("should connect added hosts once with their final value", async ({
+    page,
+  }) => {
+    const calls = await page.evaluate(async () => {
+      const el = document.createElement("p");
+      el.setAttribute("testing-attribute", "first");
+      document.body.append(el);
+      el.setAttribute("testing-attribute", "last");
+      el.title = "title";
+      await nextBatch();
+      return window.calls;
+    });
+    expect(calls).toEqual([["connected", "last"]]);
+  });
+
+  test("should ignore hosts added and removed within a batch", async ({
+    page,
+  }) => {
+    const calls = await page.evaluate(async () => {
+      const el = document.createElement("p");
+      el.setAttribute("testing-attribute", "transient");
+      document.body.append(el);
+      el.remove();
+      const other = document.createElement("p");
+      other.setAttribute("testing-attribute", "transient");
+      document.body.append(other);
+      other.removeAttribute("testing-attribute");
+      await nextBatch();
+      return window.calls;
+    });
+    expect(calls).toEqual([]);
+  });
+});
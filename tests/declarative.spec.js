@@ -0,0 +1,130 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+  await page.evaluate(() => {
+    window.declared = [];
+    document.body.innerHTML = '<p declared-attribute="a"></p>';
+    watchManifests();
+  });
+});
+
+test.describe("Declarative registration", () => {
+  test("should only read manifests added later once watching", async ({
+    page,
+  }) => {
+    await page.goto("/");
+    const registered = await page.evaluate(async () => {
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<custom-attribute-definition name="declared-attribute" src="/tests/fixtures/declared-attribute.js"></custom-attribute-definition>`
+      );
+      await new Promise((resolve) => setTimeout(resolve));
+      const before = unregisterAttribute("declared-attribute");
+      watchManifests();
+      return [before, unregisterAttribute("declared-attribute")];
+    });
+    expect(registered).toEqual([false, true]);
+  });
+
+  test("should register the attributes of a script manifest", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      const script = document.createElement("script");
+      script.type = "custom-attributes";
+      script.textContent = JSON.stringify({
+        "declared-attribute": "/tests/fixtures/declared-attribute.js",
+      });
+      document.head.append(script);
+    });
+    await expect
+      .poll(() => page.evaluate(() => window.declared))
+      .toEqual(["a"]);
+  });
+
+  test("should register a definition element with a relative src", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<custom-attribute-definition name="declared-attribute" src="tests/fixtures/declared-attribute.js"></custom-attribute-definition>`
+      );
+    });
+    await expect
+      .poll(() => page.evaluate(() => window.declared))
+      .toEqual(["a"]);
+
+    await page.evaluate(() => {
+      const el = document.createElement("p");
+      el.setAttribute("declared-attribute", "b");
+      document.body.append(el);
+    });
+    await expect
+      .poll(() => page.evaluate(() => window.declared))
+      .toEqual(["a", "b"]);
+  });
+
+  test("should skip modules from other origins", async ({ page }) => {
+    const errors = await page.evaluate(() => {
+      const errors = [];
+      const { error } = console;
+      console.error = (e) => errors.push(e.code);
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<custom-attribute-definition name="declared-attribute" src="https://example.com/declared-attribute.js"></custom-attribute-definition>`
+      );
+      return new Promise((resolve) =>
+        setTimeout(() => {
+          console.error = error;
+          resolve([...errors, unregisterAttribute("declared-attribute")]);
+        })
+      );
+    });
+    expect(errors).toEqual(["INVALID_SOURCE", false]);
+  });
+
+  test("should not import the module before a host shows up", async ({
+    page,
+  }) => {
+    const loaded = await page.evaluate(async () => {
+      document.body.innerHTML = "";
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<custom-attribute-definition name="declared-attribute" src="/tests/fixtures/declared-attribute.js"></custom-attribute-definition>`
+      );
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return window.declaredLoaded ?? false;
+    });
+    expect(loaded).toBe(false);
+  });
+
+  test("should skip invalid entries and register the others", async ({
+    page,
+  }) => {
+    const errors = await page.evaluate(() => {
+      const errors = [];
+      const { error } = console;
+      console.error = (e) => errors.push(e.code);
+      const script = document.createElement("script");
+      script.type = "custom-attributes";
+      script.textContent = JSON.stringify({
+        "1invalid": "/tests/fixtures/declared-attribute.js",
+        "missing-src": 1,
+        "declared-attribute": "/tests/fixtures/declared-attribute.js",
+      });
+      document.head.append(script);
+      return new Promise((resolve) =>
+        setTimeout(() => {
+          console.error = error;
+          resolve(errors);
+        })
+      );
+    });
+    expect(errors).toEqual(["INVALID_NAME", "INVALID_SOURCE"]);
+    await expect
+      .poll(() => page.evaluate(() => window.declared))
+      .toEqual(["a"]);
+  });
+});
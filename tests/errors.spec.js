@@ -0,0 +1,172 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+});
+
+test.describe("Error isolation", () => {
+  test.beforeEach(async ({ page }) => {
+    await page.evaluate(() => {
+      window.calls = [];
+      window.errors = [];
+      window.reported = [];
+      customAttributes.onError = (error, { phase, instance, host, name }) => {
+        window.reported.push([
+          error.message,
+          phase,
+          Boolean(instance) && instance === getAttributeInstance(host, name),
+          name,
+        ]);
+      };
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback(value) {
+          if (value === "broken") {
+            throw new Error("connect failed");
+          }
+          window.calls.push(["connected", value]);
+        }
+        changedCallback(newValue) {
+          if (newValue === "broken") {
+            throw new Error("change failed");
+          }
+          window.calls.push(["changed", newValue]);
+        }
+        errorCallback(error, phase) {
+          window.errors.push([error.message, phase]);
+        }
+      }
+      document.body.innerHTML = `
+        <p failing-attribute="a"></p>
+        <p failing-attribute="broken"></p>
+        <p failing-attribute="c"></p>
+      `;
+      customAttributes.define("failing-attribute", TestingAttribute);
+    });
+  });
+
+  test("should upgrade the other hosts when one throws", async ({ page }) => {
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["connected", "a"],
+      ["connected", "c"],
+    ]);
+    expect(await page.evaluate(() => window.errors)).toEqual([
+      ["connect failed", "connected"],
+    ]);
+    expect(await page.evaluate(() => window.reported)).toEqual([
+      ["connect failed", "connected", true, "failing-attribute"],
+    ]);
+  });
+
+  test("should process the rest of a mutation batch", async ({ page }) => {
+    await page.evaluate(async () => {
+      window.calls = [];
+      const [first, , third] = document.querySelectorAll("p");
+      first.setAttribute("failing-attribute", "broken");
+      third.setAttribute("failing-attribute", "changed");
+      const added = document.createElement("p");
+      added.setAttribute("failing-attribute", "added");
+      document.body.append(added);
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["changed", "changed"],
+      ["connected", "added"],
+    ]);
+    expect(await page.evaluate(() => window.errors.at(-1))).toEqual([
+      "change failed",
+      "changed",
+    ]);
+  });
+
+  test("should report constructors that throw to onError", async ({ page }) => {
+    const reported = await page.evaluate(async () => {
+      window.reported = [];
+      customAttributes.define(
+        "throwing-attribute",
+        class extends CustomAttribute {
+          constructor(...args) {
+            super(...args);
+            throw new Error("constructor failed");
+          }
+        }
+      );
+      const el = document.createElement("p");
+      el.setAttribute("throwing-attribute", "");
+      document.body.append(el);
+      await new Promise((resolve) => setTimeout(resolve));
+      return window.reported;
+    });
+    expect(reported).toEqual([
+      ["constructor failed", "constructor", false, "throwing-attribute"],
+    ]);
+  });
+
+  test("should report event handlers that throw", async ({ page }) => {
+    const reported = await page.evaluate(() => {
+      window.reported = [];
+      class EventAttribute extends CustomAttribute {
+        static events = { click: "onClick" };
+        connectedCallback() {
+          this.listen(this.host, "keydown", () => {
+            throw new Error("listener failed");
+          });
+        }
+        onClick() {
+          throw new Error("handler failed");
+        }
+      }
+      document.body.innerHTML = "<button event-attribute></button>";
+      customAttributes.define("event-attribute", EventAttribute);
+      const button = document.querySelector("button");
+      button.click();
+      button.dispatchEvent(new KeyboardEvent("keydown"));
+      return window.reported;
+    });
+    expect(reported).toEqual([
+      ["handler failed", "event", true, "event-attribute"],
+      ["listener failed", "event", true, "event-attribute"],
+    ]);
+  });
+
+  test("should report async event handlers that reject", async ({ page }) => {
+    const reported = await page.evaluate(async () => {
+      window.reported = [];
+      class EventAttribute extends CustomAttribute {
+        static events = { click: "onClick" };
+        connectedCallback() {
+          this.listen(this.host, "keydown", async () => {
+            throw new Error("async listener failed");
+          });
+        }
+        async onClick() {
+          throw new Error("async handler failed");
+        }
+      }
+      document.body.innerHTML = "<button event-attribute></button>";
+      customAttributes.define("event-attribute", EventAttribute);
+      const button = document.querySelector("button");
+      button.click();
+      button.dispatchEvent(new KeyboardEvent("keydown"));
+      await new Promise((resolve) => setTimeout(resolve));
+      return window.reported;
+    });
+    expect(reported).toEqual([
+      ["async handler failed", "event", true, "event-attribute"],
+      ["async listener failed", "event", true, "event-attribute"],
+    ]);
+  });
+
+  test("should mark failed hosts in dev mode", async ({ page }) => {
+    const markers = await page.evaluate(async () => {
+      customAttributes.dev = true;
+      const [first] = document.querySelectorAll("p");
+      first.setAttribute("failing-attribute", "broken");
+      await new Promise((resolve) => setTimeout(resolve));
+      const marked = first.getAttribute("data-ca-error");
+      first.removeAttribute("failing-attribute");
+      await new Promise((resolve) => setTimeout(resolve));
+      return [marked, first.getAttribute("data-ca-error")];
+    });
+    expect(markers).toEqual(["failing-attribute", null]);
+  });
+});
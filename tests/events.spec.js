@@ -0,0 +1,174 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+});
+
+test.describe("Event helpers", () => {
+  test("should bind static events to the host, window and document", async ({
+    page,
+  }) => {
+    const calls = await page.evaluate(() => {
+      window.calls = [];
+      class TestingAttribute extends CustomAttribute {
+        static events = {
+          click: "onClick",
+          "keydown.enter": "onEnter",
+          "window:resize": "onResize",
+          "document:keydown.ctrl.s": "onSave",
+        };
+        onClick(event) {
+          window.calls.push(["click", this.value, event.type]);
+        }
+        onEnter() {
+          window.calls.push(["enter"]);
+        }
+        onResize() {
+          window.calls.push(["resize"]);
+        }
+        onSave() {
+          window.calls.push(["save"]);
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+
+      const el = document.querySelector('[data-testid="el"]');
+      el.click();
+      el.dispatchEvent(new KeyboardEvent("keydown", { key: "a" }));
+      el.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter" }));
+      window.dispatchEvent(new Event("resize"));
+      document.dispatchEvent(new KeyboardEvent("keydown", { key: "s" }));
+      document.dispatchEvent(
+        new KeyboardEvent("keydown", { key: "s", ctrlKey: true })
+      );
+      return window.calls;
+    });
+    expect(calls).toEqual([
+      ["click", "test", "click"],
+      ["enter"],
+      ["resize"],
+      ["save"],
+    ]);
+  });
+
+  test("should unbind static events on disconnect", async ({ page }) => {
+    const calls = await page.evaluate(async () => {
+      window.calls = [];
+      class TestingAttribute extends CustomAttribute {
+        static events = { click: "onClick", "window:resize": "onClick" };
+        onClick(event) {
+          window.calls.push(event.type);
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+
+      const el = document.querySelector('[data-testid="el"]');
+      el.removeAttribute("testing-attribute");
+      await new Promise((resolve) => setTimeout(resolve));
+      el.click();
+      window.dispatchEvent(new Event("resize"));
+      return window.calls;
+    });
+    expect(calls).toEqual([]);
+  });
+
+  test("should remove listeners added with listen on disconnect", async ({
+    page,
+  }) => {
+    const calls = await page.evaluate(async () => {
+      window.calls = [];
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback() {
+          this.listen(document, "keydown.esc", function (event) {
+            window.calls.push([event.key, this instanceof TestingAttribute]);
+          });
+          const remove = this.listen(this.host, "click", () =>
+            window.calls.push(["click"])
+          );
+          remove();
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+
+      const el = document.querySelector('[data-testid="el"]');
+      el.click();
+      document.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape" }));
+      el.remove();
+      await new Promise((resolve) => setTimeout(resolve));
+      document.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape" }));
+      return window.calls;
+    });
+    expect(calls).toEqual([["Escape", true]]);
+  });
+
+  test("should delegate host events through one listener on the root", async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      window.calls = [];
+      let listeners = 0;
+      const { addEventListener } = Document.prototype;
+      document.addEventListener = function (type, ...args) {
+        if (type === "click") {
+          listeners++;
+        }
+        return addEventListener.call(this, type, ...args);
+      };
+      class TestingAttribute extends CustomAttribute {
+        static delegateEvents = true;
+        static events = { click: "onClick" };
+        onClick() {
+          window.calls.push(this.value);
+        }
+      }
+      for (const value of ["a", "b", "c"]) {
+        const el = document.createElement("button");
+        el.setAttribute("testing-attribute", value);
+        document.body.append(el);
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+      document.querySelector('[testing-attribute="b"]').click();
+
+      const el = document.querySelector('[testing-attribute="c"]');
+      el.removeAttribute("testing-attribute");
+      await new Promise((resolve) => setTimeout(resolve));
+      el.click();
+      delete document.addEventListener;
+      return { calls: window.calls, listeners };
+    });
+    expect(result).toEqual({ calls: ["b"], listeners: 1 });
+  });
+
+  test("should delegate on the new root node when the host moves into a shadow root", async ({
+    page,
+  }) => {
+    const calls = await page.evaluate(async () => {
+      window.calls = [];
+      class TestingAttribute extends CustomAttribute {
+        static delegateEvents = true;
+        static events = { click: "onClick" };
+        onClick() {
+          window.calls.push(this.value);
+        }
+      }
+      document.body.innerHTML =
+        '<button testing-attribute="a"></button><div id="shadow-host"></div>';
+      const shadowRoot = document
+        .getElementById("shadow-host")
+        .attachShadow({ mode: "open" });
+      customAttributes.define("testing-attribute", TestingAttribute, {
+        shadowRoots: true,
+      });
+      const button = document.querySelector("button");
+      const instance = getAttributeInstance(button, "testing-attribute");
+      shadowRoot.append(button);
+      await new Promise((resolve) => setTimeout(resolve));
+      button.click();
+      return [
+        ...window.calls,
+        getAttributeInstance(button, "testing-attribute") === instance,
+      ];
+    });
+    expect(calls).toEqual(["a", true]);
+  });
+});
@@ -0,0 +1,9 @@
+import { CustomAttribute } from "../../main.js";
+
+window.declaredLoaded = true;
+
+export default class DeclaredAttribute extends CustomAttribute {
+  connectedCallback(value) {
+    window.declared.push(value);
+  }
+}
@@ -0,0 +1,126 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+  await page.evaluate(() => {
+    window.calls = [];
+    class MustMatch extends CustomAttribute {
+      connectedCallback() {
+        this.listen(this.host.getRootNode(), "input", () => this.validate());
+        this.validate();
+      }
+      validate() {
+        const other = this.host.getRootNode().querySelector(this.value);
+        this.setValidity(
+          this.host.value === other.value ? "" : "Values don't match"
+        );
+      }
+    }
+    class Required extends CustomAttribute {
+      connectedCallback() {
+        this.setValidity(this.host.value ? "" : "Required");
+      }
+      formResetCallback() {
+        window.calls.push(["reset", this.host.value]);
+      }
+      formDataCallback(formData) {
+        formData.append("checked-by", this.name);
+      }
+    }
+    document.body.innerHTML = `
+      <form>
+        <input id="password" name="password" value="secret">
+        <input id="repeat" name="repeat" value="other" must-match="#password" required-value>
+      </form>
+    `;
+    customAttributes.define("must-match", MustMatch);
+    customAttributes.define("required-value", Required);
+    window.repeat = document.getElementById("repeat");
+  });
+});
+
+test.describe("Form-associated attributes", () => {
+  test("should set the custom validity of the host", async ({ page }) => {
+    const validity = await page.evaluate(async () => {
+      const form = document.querySelector("form");
+      const results = [form.checkValidity(), repeat.validationMessage];
+      repeat.value = "secret";
+      repeat.dispatchEvent(new Event("input", { bubbles: true }));
+      results.push(form.checkValidity(), repeat.validationMessage);
+      return results;
+    });
+    expect(validity).toEqual([false, "Values don't match", true, ""]);
+  });
+
+  test("should combine the messages of several attributes", async ({
+    page,
+  }) => {
+    const messages = await page.evaluate(async () => {
+      repeat.value = "";
+      repeat.dispatchEvent(new Event("input", { bubbles: true }));
+      getAttributeInstance(repeat, "required-value").connectedCallback();
+      const messages = [repeat.validationMessage];
+      repeat.removeAttribute("must-match");
+      await new Promise((resolve) => setTimeout(resolve));
+      messages.push(repeat.validationMessage);
+      repeat.removeAttribute("required-value");
+      await new Promise((resolve) => setTimeout(resolve));
+      messages.push(repeat.validationMessage);
+      return messages;
+    });
+    expect(messages).toEqual(["Values don't match", "Required", ""]);
+  });
+
+  test("should call formResetCallback after the form has been reset", async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      repeat.value = "changed";
+      document.querySelector("form").reset();
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["reset", "other"],
+    ]);
+  });
+
+  test("should add entries to the form data", async ({ page }) => {
+    const entries = await page.evaluate(() => [
+      ...new FormData(document.querySelector("form")),
+    ]);
+    expect(entries).toEqual([
+      ["password", "secret"],
+      ["repeat", "other"],
+      ["checked-by", "required-value"],
+    ]);
+  });
+
+  test("should stop listening once disconnected", async ({ page }) => {
+    const entries = await page.evaluate(async () => {
+      repeat.removeAttribute("required-value");
+      await new Promise((resolve) => setTimeout(resolve));
+      document.querySelector("form").reset();
+      await new Promise((resolve) => setTimeout(resolve));
+      return [...new FormData(document.querySelector("form"))].length;
+    });
+    expect(entries).toBe(2);
+    expect(await page.evaluate(() => window.calls)).toEqual([]);
+  });
+
+  test("should throw for hosts that aren't form controls", async ({ page }) => {
+    const code = await page.evaluate(() => {
+      class Validating extends CustomAttribute {}
+      customAttributes.define("validating-attribute", Validating);
+      const el = document.createElement("div");
+      el.setAttribute("validating-attribute", "");
+      document.body.append(el);
+      customAttributes.upgrade(el);
+      try {
+        getAttributeInstance(el, "validating-attribute").setValidity("");
+      } catch (error) {
+        return error.code;
+      }
+    });
+    expect(code).toBe("INVALID_HOST");
+  });
+});
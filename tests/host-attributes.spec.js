@@ -0,0 +1,58 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+});
+
+test.describe("Observing host attributes", () => {
+  test("should call hostAttributeChangedCallback for observed host attributes", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      window.calls = [];
+      class TestingAttribute extends CustomAttribute {
+        static observedAttributes = ["testing-placement"];
+
+        hostAttributeChangedCallback(name, newValue, oldValue) {
+          window.calls.push([name, newValue, oldValue]);
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+    });
+
+    const el = page.getByTestId("el");
+    await el.evaluate((el) => el.setAttribute("testing-placement", "top"));
+    await el.evaluate((el) => el.setAttribute("testing-placement", "bottom"));
+    await el.evaluate((el) => el.removeAttribute("testing-placement"));
+
+    const calls = await page.evaluate(() => window.calls);
+    expect(calls).toEqual([
+      ["testing-placement", "top", null],
+      ["testing-placement", "bottom", "top"],
+      ["testing-placement", null, "bottom"],
+    ]);
+  });
+
+  test("should not call hostAttributeChangedCallback for other attributes", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      window.calls = 0;
+      class TestingAttribute extends CustomAttribute {
+        static observedAttributes = ["testing-placement"];
+
+        hostAttributeChangedCallback() {
+          window.calls += 1;
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+    });
+
+    const el = page.getByTestId("el");
+    await el.evaluate((el) => el.setAttribute("title", "unrelated"));
+    await el.evaluate((el) => el.setAttribute("testing-attribute", "changed"));
+
+    const calls = await page.evaluate(() => window.calls);
+    expect(calls).toBe(0);
+  });
+});
@@ -0,0 +1,82 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML(
+      "beforeend",
+      `<ul sortable-list data-testid="list">
+        <li draggable-item="a" data-testid="first"></li>
+        <li draggable-item="b" tooltip-text="second"></li>
+      </ul>`
+    );
+    window.SortableList = class extends CustomAttribute {};
+    window.DraggableItem = class extends CustomAttribute {};
+    window.TooltipText = class extends CustomAttribute {};
+    customAttributes.define("sortable-list", SortableList);
+    customAttributes.define("draggable-item", DraggableItem);
+    customAttributes.define("tooltip-text", TooltipText);
+  });
+});
+
+test.describe("Looking up instances", () => {
+  test("should get the instance of an attribute on an element", async ({
+    page,
+  }) => {
+    const found = await page.getByTestId("list").evaluate((list) => {
+      const instance = getAttributeInstance(list, "sortable-list");
+      return {
+        isInstance: instance instanceof SortableList,
+        host: instance.host === list,
+        missing: getAttributeInstance(list, "draggable-item"),
+      };
+    });
+    expect(found).toEqual({ isInstance: true, host: true, missing: null });
+  });
+
+  test("should get all instances on an element", async ({ page }) => {
+    const names = await page.evaluate(() => [
+      ...getAttributeInstances(document.querySelector("[tooltip-text]")).keys(),
+    ]);
+    expect(names).toEqual(["draggable-item", "tooltip-text"]);
+  });
+
+  test("should forget instances once disconnected", async ({ page }) => {
+    const found = await page.getByTestId("first").evaluate(async (item) => {
+      item.remove();
+      await new Promise((resolve) => setTimeout(resolve));
+      return {
+        instance: getAttributeInstance(item, "draggable-item"),
+        size: getAttributeInstances(item).size,
+      };
+    });
+    expect(found).toEqual({ instance: null, size: 0 });
+  });
+
+  test("should find the closest instance on the host or its ancestors", async ({
+    page,
+  }) => {
+    const found = await page.getByTestId("first").evaluate((item) => {
+      const instance = getAttributeInstance(item, "draggable-item");
+      return {
+        list:
+          instance.closest("sortable-list") ===
+          getAttributeInstance(item.parentElement, "sortable-list"),
+        self: instance.closest("draggable-item") === instance,
+        missing: instance.closest("tooltip-text"),
+      };
+    });
+    expect(found).toEqual({ list: true, self: true, missing: null });
+  });
+
+  test("should find instances on descendants in document order", async ({
+    page,
+  }) => {
+    const values = await page.getByTestId("list").evaluate((list) =>
+      getAttributeInstance(list, "sortable-list")
+        .queryAll("draggable-item")
+        .map((instance) => instance.value)
+    );
+    expect(values).toEqual(["a", "b"]);
+  });
+});
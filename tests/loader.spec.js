@@ -0,0 +1,69 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+});
+
+test.describe("Lazy definitions", () => {
+  test.beforeEach(async ({ page }) => {
+    await page.evaluate(() => {
+      window.connected = [];
+      window.loads = 0;
+      window.TestingAttribute = class extends CustomAttribute {
+        connectedCallback(value) {
+          window.connected.push(value);
+        }
+      };
+      customAttributes.define("lazy-attribute", () => {
+        window.loads++;
+        return new Promise((resolve) => {
+          window.resolveLoader = resolve;
+        });
+      });
+    });
+  });
+
+  test("should not load before a host shows up", async ({ page }) => {
+    expect(await page.evaluate(() => window.loads)).toBe(0);
+    expect(
+      await page.evaluate(() => customAttributes.get("lazy-attribute"))
+    ).toBeUndefined();
+  });
+
+  test("should load once and upgrade all hosts when resolved", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      for (const value of ["a", "b"]) {
+        const el = document.createElement("p");
+        el.setAttribute("lazy-attribute", value);
+        document.body.append(el);
+      }
+    });
+    await expect.poll(() => page.evaluate(() => window.loads)).toBe(1);
+    expect(await page.evaluate(() => window.connected)).toEqual([]);
+
+    const defined = await page.evaluate(async () => {
+      const defined = customAttributes.whenDefined("lazy-attribute");
+      window.resolveLoader({ default: window.TestingAttribute });
+      return (await defined) === window.TestingAttribute;
+    });
+    expect(defined).toBe(true);
+    expect(await page.evaluate(() => window.connected)).toEqual(["a", "b"]);
+    expect(await page.evaluate(() => window.loads)).toBe(1);
+  });
+
+  test("should skip hosts removed while loading", async ({ page }) => {
+    await page.evaluate(async () => {
+      const el = document.createElement("p");
+      el.setAttribute("lazy-attribute", "removed");
+      document.body.append(el);
+      await new Promise((resolve) => setTimeout(resolve));
+      el.remove();
+      await new Promise((resolve) => setTimeout(resolve));
+      window.resolveLoader(window.TestingAttribute);
+      await customAttributes.whenDefined("lazy-attribute");
+    });
+    expect(await page.evaluate(() => window.connected)).toEqual([]);
+  });
+});
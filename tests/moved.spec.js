@@ -0,0 +1,101 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+  await page.evaluate(() => {
+    window.calls = [];
+    class TestingAttribute extends CustomAttribute {
+      connectedCallback(value) {
+        window.calls.push(["connected", value]);
+      }
+      disconnectedCallback() {
+        window.calls.push(["disconnected", this.host.id]);
+      }
+      movedCallback(oldParent, newParent) {
+        window.calls.push(["moved", this.host.id, oldParent.id, newParent.id]);
+      }
+    }
+    document.body.innerHTML = `
+      <section id="from"><p id="host" moving-attribute="a"></p></section>
+      <section id="to"><p id="sibling"></p></section>
+    `;
+    customAttributes.define("moving-attribute", TestingAttribute);
+    window.calls = [];
+  });
+});
+
+test.describe("Moving hosts", () => {
+  test("should call movedCallback instead of reconnecting", async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      document
+        .getElementById("sibling")
+        .before(document.getElementById("host"));
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["moved", "host", "from", "to"],
+    ]);
+  });
+
+  test("should pass the parents of a moved subtree to hosts inside", async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      document.getElementById("to").append(document.getElementById("from"));
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["moved", "host", "", "to"],
+    ]);
+  });
+
+  test("should reconnect hosts re-inserted in a later task", async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      const host = document.getElementById("host");
+      host.remove();
+      await new Promise((resolve) => setTimeout(resolve));
+      document.getElementById("to").append(host);
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["disconnected", "host"],
+      ["connected", "a"],
+    ]);
+  });
+
+  test("should disconnect hosts whose attribute is removed while moving", async ({
+    page,
+  }) => {
+    await page.evaluate(async () => {
+      const host = document.getElementById("host");
+      document.getElementById("to").append(host);
+      host.removeAttribute("moving-attribute");
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["disconnected", "host"],
+    ]);
+  });
+
+  test("should call movedCallback for moveBefore", async ({ page }) => {
+    test.skip(
+      !(await page.evaluate(() => "moveBefore" in Element.prototype)),
+      "moveBefore is not supported"
+    );
+    await page.evaluate(async () => {
+      const to = document.getElementById("to");
+      to.moveBefore(
+        document.getElementById("host"),
+        document.getElementById("sibling")
+      );
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    expect(await page.evaluate(() => window.calls)).toEqual([
+      ["moved", "host", "from", "to"],
+    ]);
+  });
+});
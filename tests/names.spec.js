@@ -0,0 +1,105 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+  await page.evaluate(() => {
+    window.warnings = [];
+    console.warn = (message) => window.warnings.push(message);
+    window.TestingAttribute = class extends CustomAttribute {};
+    window.defineName = (name, registry = customAttributes) => {
+      try {
+        registry.define(name, TestingAttribute);
+      } catch (error) {
+        return error instanceof AttributeNameError ? error.name : error;
+      }
+    };
+  });
+});
+
+test.describe("Attribute names", () => {
+  test("should throw an AttributeNameError for invalid names", async ({
+    page,
+  }) => {
+    const errors = await page.evaluate(() =>
+      ["1-attribute", "my attribute", "-attribute", "", "*"].map((name) =>
+        defineName(name)
+      )
+    );
+    expect(errors).toEqual(Array(5).fill("AttributeNameError"));
+  });
+
+  test("should throw for names with uppercase letters", async ({ page }) => {
+    const errors = await page.evaluate(() => {
+      const codes = ["My-Attr", "on:Click*"].map((name) => {
+        try {
+          customAttributes.define(name, TestingAttribute);
+        } catch (error) {
+          return [error.name, error.code];
+        }
+      });
+      try {
+        registerAttribute("My-Attr", TestingAttribute);
+      } catch (error) {
+        codes.push([error.name, error.code]);
+      }
+      return codes;
+    });
+    expect(errors).toEqual(
+      Array(3).fill(["AttributeNameError", "INVALID_NAME"])
+    );
+  });
+
+  test("should warn about standard names and names without a dash", async ({
+    page,
+  }) => {
+    const result = await page.evaluate(() => ({
+      errors: [
+        "title",
+        "aria-label",
+        "stroke-width",
+        "tooltip",
+        "stroke-*",
+      ].map((name) => defineName(name)),
+      warnings: window.warnings.length,
+    }));
+    expect(result).toEqual({ errors: Array(5).fill(undefined), warnings: 5 });
+  });
+
+  test("should throw for standard names in strict mode", async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const registry = new CustomAttributeRegistry({ strict: true });
+      const child = new CustomAttributeRegistry({ parent: registry });
+      return {
+        errors: ["aria-label", "tooltip"].map((name) =>
+          defineName(name, child)
+        ),
+        valid: defineName("my-tooltip", child),
+        warnings: window.warnings.length,
+      };
+    });
+    expect(result).toEqual({
+      errors: ["AttributeNameError", "AttributeNameError"],
+      valid: undefined,
+      warnings: 0,
+    });
+  });
+
+  test("should connect names containing colons and dots", async ({ page }) => {
+    const connected = await page.evaluate(() => {
+      window.connected = [];
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<p x:tooltip="colon"></p><p my-tooltip.text="dot"></p>`
+      );
+      class Recording extends CustomAttribute {
+        connectedCallback(value) {
+          window.connected.push(value);
+        }
+      }
+      customAttributes.define("x:tooltip", Recording);
+      customAttributes.define("my-tooltip.text", class extends Recording {});
+      return window.connected;
+    });
+    expect(connected).toEqual(["colon", "dot"]);
+  });
+});
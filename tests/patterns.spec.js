@@ -0,0 +1,93 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+  await page.evaluate(() => {
+    document.body.insertAdjacentHTML(
+      "beforeend",
+      `<button data-testid="button" on:click="save" on:keydown="close" one="ignored"></button>`
+    );
+    window.calls = [];
+    window.EventBinding = class extends CustomAttribute {
+      connectedCallback(value) {
+        window.calls.push(["connected", this.name, this.argument, value]);
+      }
+      changedCallback(newValue) {
+        window.calls.push(["changed", this.name, newValue]);
+      }
+      disconnectedCallback() {
+        window.calls.push(["disconnected", this.name]);
+      }
+    };
+  });
+});
+
+test.describe("Pattern names", () => {
+  test("should create one instance per matching attribute", async ({
+    page,
+  }) => {
+    const calls = await page.evaluate(() => {
+      customAttributes.define("on:*", EventBinding);
+      return window.calls;
+    });
+    expect(calls).toEqual([
+      ["connected", "on:click", "click", "save"],
+      ["connected", "on:keydown", "keydown", "close"],
+    ]);
+  });
+
+  test("should follow matching attributes added, changed and removed later", async ({
+    page,
+  }) => {
+    const calls = await page.getByTestId("button").evaluate(async (button) => {
+      customAttributes.define("on:*", EventBinding);
+      window.calls = [];
+      button.setAttribute("on:focus", "open");
+      button.setAttribute("on:click", "submit");
+      button.removeAttribute("on:keydown");
+      await new Promise((resolve) => setTimeout(resolve));
+      return window.calls;
+    });
+    expect(calls).toEqual([
+      ["disconnected", "on:keydown"],
+      ["changed", "on:click", "submit"],
+      ["connected", "on:focus", "focus", "open"],
+    ]);
+  });
+
+  test("should prefer literal names and longer patterns", async ({ page }) => {
+    const calls = await page.evaluate(() => {
+      const el = document.createElement("input");
+      el.setAttribute("bind-value", "name");
+      el.setAttribute("bind-class-active", "isActive");
+      document.body.append(el);
+      class ValueBinding extends EventBinding {}
+      class ClassBinding extends EventBinding {}
+      customAttributes.define("bind-*", EventBinding);
+      customAttributes.define("bind-value", ValueBinding);
+      customAttributes.define("bind-class-*", ClassBinding);
+      return [...getAttributeInstances(el).entries()].map(
+        ([name, instance]) => [
+          name,
+          instance.constructor.name,
+          instance.argument,
+        ]
+      );
+    });
+    expect(calls).toEqual([
+      ["bind-value", "ValueBinding", null],
+      ["bind-class-active", "ClassBinding", "active"],
+    ]);
+  });
+
+  test("should reject patterns with a * before the end", async ({ page }) => {
+    const error = await page.evaluate(() => {
+      try {
+        customAttributes.define("on:*:once", EventBinding);
+      } catch (error) {
+        return error.message;
+      }
+    });
+    expect(error).toContain("on:*:once");
+  });
+});
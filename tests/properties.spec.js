@@ -0,0 +1,94 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+  await page.evaluate(() => {
+    window.updates = [];
+    window.nextBatch = () => new Promise((resolve) => setTimeout(resolve));
+    class TestingAttribute extends CustomAttribute {
+      static properties = {
+        count: { default: 0 },
+        label: {},
+      };
+      connectedCallback() {
+        window.instance = this;
+        this.label = "initial";
+      }
+      updatedCallback(changedProperties) {
+        window.updates.push(Object.fromEntries(changedProperties));
+      }
+    }
+    customAttributes.define("testing-attribute", TestingAttribute);
+  });
+});
+
+test.describe("Reactive properties", () => {
+  test("should run a first update with every property", async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await nextBatch();
+      return {
+        updates: window.updates,
+        count: window.instance.count,
+        label: window.instance.label,
+      };
+    });
+    expect(result).toEqual({
+      updates: [{ value: undefined, count: undefined, label: undefined }],
+      count: 0,
+      label: "initial",
+    });
+  });
+
+  test("should batch property changes into one update", async ({ page }) => {
+    const updates = await page.evaluate(async () => {
+      await nextBatch();
+      window.updates = [];
+      window.instance.count = 1;
+      window.instance.count = 2;
+      window.instance.label = "changed";
+      window.instance.label = "changed";
+      await nextBatch();
+      return window.updates;
+    });
+    expect(updates).toEqual([{ count: 0, label: "initial" }]);
+  });
+
+  test("should not update for unchanged values", async ({ page }) => {
+    const updates = await page.evaluate(async () => {
+      await nextBatch();
+      window.updates = [];
+      window.instance.count = 0;
+      await nextBatch();
+      return window.updates;
+    });
+    expect(updates).toEqual([]);
+  });
+
+  test("should feed attribute value changes into the same update", async ({
+    page,
+  }) => {
+    const updates = await page.evaluate(async () => {
+      await nextBatch();
+      window.updates = [];
+      window.instance.count = 5;
+      window.instance.host.setAttribute("testing-attribute", "changed");
+      await nextBatch();
+      return window.updates;
+    });
+    expect(updates).toEqual([{ count: 0, value: "test" }]);
+  });
+
+  test("should skip updates after disconnect", async ({ page }) => {
+    const updates = await page.evaluate(async () => {
+      await nextBatch();
+      window.updates = [];
+      window.instance.count = 5;
+      window.instance.host.remove();
+      await nextBatch();
+      window.instance.count = 6;
+      await nextBatch();
+      return window.updates;
+    });
+    expect(updates).toEqual([]);
+  });
+});
@@ -0,0 +1,153 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+});
+
+test.describe("Reflecting state", () => {
+  test("should reflect states as marker attributes until disconnect", async ({
+    page,
+  }) => {
+    const result = await page.getByTestId("el").evaluate(async (el) => {
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback() {
+          window.instance = this;
+          this.states.add("stuck").add("open");
+          this.states.delete("open");
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+      const connected = el.getAttributeNames();
+      el.removeAttribute("testing-attribute");
+      await new Promise((resolve) => setTimeout(resolve));
+      window.instance.states.add("late");
+      return { connected, disconnected: el.getAttributeNames() };
+    });
+    expect(result).toEqual({
+      connected: [
+        "testing-attribute",
+        "data-testid",
+        "testing-attribute-stuck",
+      ],
+      disconnected: ["data-testid"],
+    });
+  });
+
+  test("should reflect states as classes", async ({ page }) => {
+    const classes = await page.getByTestId("el").evaluate((el) => {
+      class TestingAttribute extends CustomAttribute {
+        static reflectStates = "class";
+        connectedCallback() {
+          this.states.add("stuck");
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+      return el.className;
+    });
+    expect(classes).toBe("testing-attribute-stuck");
+  });
+
+  test("should remove the class attribute once the last state is gone", async ({
+    page,
+  }) => {
+    const hasClass = await page.getByTestId("el").evaluate((el) => {
+      class TestingAttribute extends CustomAttribute {
+        static reflectStates = "class";
+        connectedCallback() {
+          this.states.add("stuck");
+          this.states.delete("stuck");
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+      return el.hasAttribute("class");
+    });
+    expect(hasClass).toBe(false);
+  });
+
+  test("should not feed marker attributes back into the registry", async ({
+    page,
+  }) => {
+    const calls = await page.getByTestId("el").evaluate(async (el) => {
+      window.calls = [];
+      class TestingAttribute extends CustomAttribute {
+        static observedAttributes = ["testing-attribute-active"];
+        connectedCallback() {
+          window.instance = this;
+        }
+        hostAttributeChangedCallback(name) {
+          window.calls.push(name);
+          this.states.add("active");
+        }
+      }
+      class ActiveAttribute extends CustomAttribute {
+        connectedCallback() {
+          window.calls.push("connected");
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+      customAttributes.define("testing-attribute-active", ActiveAttribute);
+      window.instance.states.add("active");
+      await new Promise((resolve) => setTimeout(resolve));
+      return window.calls;
+    });
+    expect(calls).toEqual([]);
+  });
+
+  test("should handle former marker attributes set by other code", async ({
+    page,
+  }) => {
+    const calls = await page.getByTestId("el").evaluate(async (el) => {
+      window.calls = [];
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback() {
+          window.calls.push(["connected", this.name]);
+          if (this.name === "st-a") {
+            this.states.add("stuck");
+            this.states.delete("stuck");
+          }
+        }
+      }
+      el.setAttribute("st-a", "");
+      customAttributes.define("st-*", TestingAttribute);
+      await new Promise((resolve) => setTimeout(resolve));
+      el.setAttribute("st-a-stuck", "");
+      await new Promise((resolve) => setTimeout(resolve));
+      return window.calls;
+    });
+    expect(calls).toEqual([
+      ["connected", "st-a"],
+      ["connected", "st-a-stuck"],
+    ]);
+  });
+
+  test("should set CSS custom properties and restore them on disconnect", async ({
+    page,
+  }) => {
+    const result = await page.getByTestId("el").evaluate(async (el) => {
+      el.style.setProperty("--progress", "0");
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback() {
+          this.cssVars.set("--progress", 0.4).set("--color", "red");
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+      const connected = [
+        el.style.getPropertyValue("--progress"),
+        el.style.getPropertyValue("--color"),
+      ];
+      el.remove();
+      await new Promise((resolve) => setTimeout(resolve));
+      return {
+        connected,
+        disconnected: [
+          el.style.getPropertyValue("--progress"),
+          el.style.getPropertyValue("--color"),
+        ],
+      };
+    });
+    expect(result).toEqual({
+      connected: ["0.4", "red"],
+      disconnected: ["0", ""],
+    });
+  });
+});
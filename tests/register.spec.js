@@ -1,5 +1,5 @@
-const { test, expect } = require("@playwright/test");
-const { CustomAttribute, registerAttribute } = require("../main");
+import { test, expect } from "@playwright/test";
+import { CustomAttribute, registerAttribute } from "../main.js";
 
 test.beforeEach(async ({ page }) => {
   await page.goto("/");
@@ -188,4 +188,180 @@ test.describe("Registering a custom attribute", () => {
     expect(beforeMove).toEqual({ c: 1, d: 0, ch: 0 });
     expect(afterMove).toEqual({ c: 2, d: 1, ch: 0 });
   });
+
+  test("should share one observer between attributes registered on the same root", async ({
+    page,
+  }) => {
+    const observers = await page.evaluate(() => {
+      let count = 0;
+      const NativeMutationObserver = window.MutationObserver;
+      window.MutationObserver = class extends NativeMutationObserver {
+        constructor(callback) {
+          super(callback);
+          count += 1;
+        }
+      };
+      class TestingAttribute extends CustomAttribute {}
+      registerAttribute("testing-attribute", TestingAttribute);
+      registerAttribute("other-attribute", TestingAttribute);
+      registerAttribute("third-attribute", TestingAttribute);
+      window.MutationObserver = NativeMutationObserver;
+      return count;
+    });
+    expect(observers).toBe(1);
+  });
+
+  test("should dispatch changes to every attribute registered on the same root", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      window.calls = [];
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback(value) {
+          window.calls.push(`connected ${this.name} ${value}`);
+        }
+        changedCallback(newValue) {
+          window.calls.push(`changed ${this.name} ${newValue}`);
+        }
+      }
+      registerAttribute("testing-attribute", TestingAttribute);
+      registerAttribute("other-attribute", TestingAttribute);
+    });
+
+    await page.getByTestId("el").evaluate((el) => {
+      el.setAttribute("other-attribute", "added");
+      return new Promise((resolve) => {
+        window.requestAnimationFrame(() => {
+          el.setAttribute("testing-attribute", "changed");
+          resolve();
+        });
+      });
+    });
+    await page.evaluate(() => {
+      const el = document.createElement("div");
+      el.innerHTML = `<span testing-attribute="a" other-attribute="b"></span>`;
+      document.body.append(el);
+    });
+
+    const calls = await page.evaluate(() => window.calls);
+    expect(calls).toEqual([
+      "connected testing-attribute test",
+      "connected other-attribute added",
+      "changed testing-attribute changed",
+      "connected testing-attribute a",
+      "connected other-attribute b",
+    ]);
+  });
+});
+
+test.describe("Validating registerAttribute arguments", () => {
+  test("should throw errors with a stable code for invalid arguments", async ({
+    page,
+  }) => {
+    const errors = await page.evaluate(() => {
+      class TestingAttribute extends CustomAttribute {}
+      const calls = [
+        () => registerAttribute(1, TestingAttribute),
+        () => registerAttribute("testing-attribute", new TestingAttribute()),
+        () => registerAttribute("testing-attribute", class {}),
+        () => registerAttribute("testing-attribute", TestingAttribute, {}),
+        () =>
+          registerAttribute("testing-attribute", TestingAttribute, document, 1),
+        () =>
+          registerAttribute(
+            "testing-attribute",
+            TestingAttribute,
+            document,
+            false
+          ),
+      ];
+      return calls.map((call) => {
+        try {
+          call();
+        } catch (error) {
+          return [
+            error instanceof InvalidArgumentError &&
+              error instanceof CustomAttributeError,
+            error.code,
+          ];
+        }
+      });
+    });
+    expect(errors).toEqual([
+      [true, "INVALID_NAME_TYPE"],
+      [true, "INVALID_CLASS"],
+      [true, "INVALID_CLASS"],
+      [true, "INVALID_ROOT"],
+      [true, "INVALID_CHILD_LIST"],
+      [true, "INVALID_ROOT"],
+    ]);
+  });
+
+  test("should accept a document, shadow root or element as root", async ({
+    page,
+  }) => {
+    const connected = await page.evaluate(() => {
+      const connected = [];
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback() {
+          connected.push(this.host.id);
+        }
+      }
+      const shadowHost = document.createElement("div");
+      shadowHost.attachShadow({ mode: "open" }).innerHTML =
+        '<p id="shadow" shadow-attribute></p>';
+      document.body.innerHTML =
+        '<p id="document" document-attribute></p><p id="element" element-attribute></p>';
+      document.body.append(shadowHost);
+
+      registerAttribute("document-attribute", TestingAttribute, document);
+      registerAttribute(
+        "shadow-attribute",
+        TestingAttribute,
+        shadowHost.shadowRoot
+      );
+      registerAttribute(
+        "element-attribute",
+        TestingAttribute,
+        document.getElementById("element"),
+        false
+      );
+      return connected;
+    });
+    expect(connected).toEqual(["document", "shadow", "element"]);
+  });
+
+  test("should throw a catchable error for duplicate registrations", async ({
+    page,
+  }) => {
+    const error = await page.evaluate(() => {
+      class TestingAttribute extends CustomAttribute {}
+      registerAttribute("testing-attribute", TestingAttribute);
+      try {
+        registerAttribute("testing-attribute", TestingAttribute);
+      } catch (error) {
+        return [error instanceof DuplicateDefinitionError, error.code];
+      }
+    });
+    expect(error).toEqual([true, "DUPLICATE_DEFINITION"]);
+  });
+
+  test("should not keep a scope for failed registrations", async ({ page }) => {
+    const registered = await page.evaluate(() => {
+      class TestingAttribute extends CustomAttribute {}
+      const el = document.body;
+      try {
+        registerAttribute("1invalid", TestingAttribute, el);
+      } catch {}
+      registerAttribute("testing-attribute", TestingAttribute, el);
+      unregisterAttribute("testing-attribute", el);
+      try {
+        registerAttribute("testing-attribute", TestingAttribute, el);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+    expect(registered).toBe(true);
+  });
 });
@@ -0,0 +1,186 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+});
+
+test.describe("Scoped attribute registries", () => {
+  test("should look up definitions by name and class", async ({ page }) => {
+    const result = await page.evaluate(() => {
+      class TestingAttribute extends CustomAttribute {}
+      class OtherAttribute extends CustomAttribute {}
+      const registry = new CustomAttributeRegistry();
+      registry.define("testing-attribute", TestingAttribute);
+      return {
+        get: registry.get("testing-attribute") === TestingAttribute,
+        missing: registry.get("other-attribute"),
+        name: registry.getName(TestingAttribute),
+        unknown: registry.getName(OtherAttribute),
+      };
+    });
+    expect(result).toEqual({
+      get: true,
+      name: "testing-attribute",
+      unknown: null,
+    });
+  });
+
+  test("should throw when defining a name twice in the same registry", async ({
+    page,
+  }) => {
+    const error = await page.evaluate(() => {
+      class TestingAttribute extends CustomAttribute {}
+      const registry = new CustomAttributeRegistry();
+      registry.define("testing-attribute", TestingAttribute);
+      try {
+        registry.define("testing-attribute", TestingAttribute);
+      } catch (error) {
+        return error.message;
+      }
+    });
+    expect(error).toContain(
+      'the name "testing-attribute" has already been used'
+    );
+  });
+
+  test("should resolve whenDefined once the name is defined", async ({
+    page,
+  }) => {
+    const resolved = await page.evaluate(async () => {
+      class TestingAttribute extends CustomAttribute {}
+      const registry = new CustomAttributeRegistry();
+      const whenDefined = registry.whenDefined("testing-attribute");
+      registry.define("testing-attribute", TestingAttribute);
+      return (await whenDefined) === TestingAttribute;
+    });
+    expect(resolved).toBe(true);
+  });
+
+  test("should let a scoped registry override a name in its subtree", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      window.connected = [];
+      const section = document.createElement("section");
+      section.innerHTML = `<p testing-attribute="scoped"></p>`;
+      document.body.append(section);
+
+      class GlobalAttribute extends CustomAttribute {
+        connectedCallback(value) {
+          window.connected.push(`global ${value}`);
+        }
+      }
+      class ScopedAttribute extends CustomAttribute {
+        connectedCallback(value) {
+          window.connected.push(`scoped ${value}`);
+        }
+      }
+      const registry = new CustomAttributeRegistry();
+      registry.define("testing-attribute", ScopedAttribute);
+      registry.attach(section);
+      customAttributes.define("testing-attribute", GlobalAttribute);
+    });
+
+    const connected = await page.evaluate(() => window.connected);
+    expect(connected).toEqual(["scoped scoped", "global test"]);
+  });
+
+  test("should inherit definitions from the parent registry", async ({
+    page,
+  }) => {
+    const connected = await page.evaluate(async () => {
+      const connected = [];
+      const section = document.createElement("section");
+      section.innerHTML = `<p other-attribute="inherited"></p>`;
+      document.body.append(section);
+
+      class OtherAttribute extends CustomAttribute {
+        connectedCallback(value) {
+          connected.push(value);
+        }
+      }
+      const registry = new CustomAttributeRegistry({
+        parent: customAttributes,
+      });
+      registry.attach(section);
+      const whenDefined = registry.whenDefined("other-attribute");
+      customAttributes.define("other-attribute", OtherAttribute);
+      return [
+        ...connected,
+        (await whenDefined) === OtherAttribute,
+        registry.getName(OtherAttribute),
+      ];
+    });
+    expect(connected).toEqual(["inherited", true, "other-attribute"]);
+  });
+
+  test("should upgrade a subtree without observing it", async ({ page }) => {
+    const connected = await page.evaluate(() => {
+      const connected = [];
+      const fragment = document.createElement("div");
+      fragment.innerHTML = `<p testing-attribute="detached"></p>`;
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback(value) {
+          connected.push(value);
+        }
+      }
+      const registry = new CustomAttributeRegistry();
+      registry.define("testing-attribute", TestingAttribute);
+      registry.upgrade(fragment);
+      return connected;
+    });
+    expect(connected).toEqual(["detached"]);
+  });
+
+  test("should disconnect live instances when undefining a name", async ({
+    page,
+  }) => {
+    const result = await page.evaluate(() => {
+      const calls = [];
+      class TestingAttribute extends CustomAttribute {
+        disconnectedCallback() {
+          calls.push(`disconnected ${this.value}`);
+        }
+      }
+      const registry = new CustomAttributeRegistry();
+      registry.define("testing-attribute", TestingAttribute);
+      registry.attach(document.body);
+      const removed = registry.undefine("testing-attribute");
+      return { calls, removed, get: registry.get("testing-attribute") };
+    });
+    expect(result).toEqual({ calls: ["disconnected test"], removed: true });
+  });
+
+  test("should hand a detached root back to the surrounding registry", async ({
+    page,
+  }) => {
+    const calls = await page.evaluate(() => {
+      const calls = [];
+      class GlobalAttribute extends CustomAttribute {
+        connectedCallback() {
+          calls.push("global connected");
+        }
+      }
+      class ScopedAttribute extends CustomAttribute {
+        connectedCallback() {
+          calls.push("scoped connected");
+        }
+        disconnectedCallback() {
+          calls.push("scoped disconnected");
+        }
+      }
+      customAttributes.define("testing-attribute", GlobalAttribute);
+      const registry = new CustomAttributeRegistry();
+      registry.define("testing-attribute", ScopedAttribute);
+      registry.attach(document.body);
+      registry.detach(document.body);
+      return calls;
+    });
+    expect(calls).toEqual([
+      "global connected",
+      "scoped connected",
+      "scoped disconnected",
+      "global connected",
+    ]);
+  });
+});
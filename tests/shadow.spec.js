@@ -0,0 +1,106 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+});
+
+test.describe("Observing shadow roots", () => {
+  test("should not connect attributes inside shadow roots by default", async ({
+    page,
+  }) => {
+    const connected = await page.evaluate(() => {
+      const connected = [];
+      document
+        .querySelector("custom-element")
+        .shadowRoot.querySelector("h2")
+        .setAttribute("testing-attribute", "shadow");
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback(value) {
+          connected.push(value);
+        }
+      }
+      registerAttribute("testing-attribute", TestingAttribute);
+      return connected;
+    });
+    expect(connected).toEqual(["test"]);
+  });
+
+  test("should connect attributes inside existing shadow roots", async ({
+    page,
+  }) => {
+    const connected = await page.evaluate(() => {
+      const connected = [];
+      document
+        .querySelector("custom-element")
+        .shadowRoot.querySelector("h2")
+        .setAttribute("testing-attribute", "shadow");
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback(value) {
+          connected.push(value);
+        }
+      }
+      registerAttribute("testing-attribute", TestingAttribute, document, true, {
+        shadowRoots: true,
+      });
+      return connected;
+    });
+    expect(connected).toEqual(["test", "shadow"]);
+  });
+
+  test("should observe shadow roots attached later, including nested ones", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      window.connected = [];
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback(value) {
+          window.connected.push(value);
+        }
+      }
+      registerAttribute("testing-attribute", TestingAttribute, document, true, {
+        shadowRoots: true,
+      });
+    });
+
+    await page.evaluate(() => {
+      const host = document.createElement("div");
+      document.body.append(host);
+      const shadowRoot = host.attachShadow({ mode: "open" });
+      shadowRoot.innerHTML = `<p testing-attribute="outer"><span></span></p>`;
+      const nested = shadowRoot
+        .querySelector("span")
+        .attachShadow({ mode: "open" });
+      nested.innerHTML = `<i testing-attribute="nested"></i>`;
+    });
+
+    const connected = await page.evaluate(() => window.connected);
+    expect(connected).toEqual(["test", "outer", "nested"]);
+  });
+
+  test("should disconnect attributes inside shadow roots when the host is removed", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      window.disconnected = [];
+      document
+        .querySelector("custom-element")
+        .shadowRoot.querySelector("h2")
+        .setAttribute("testing-attribute", "shadow");
+      class TestingAttribute extends CustomAttribute {
+        disconnectedCallback() {
+          window.disconnected.push(this.value);
+        }
+      }
+      registerAttribute("testing-attribute", TestingAttribute, document, true, {
+        shadowRoots: true,
+      });
+    });
+
+    await page.evaluate(() =>
+      document.querySelector("custom-element").remove()
+    );
+
+    const disconnected = await page.evaluate(() => window.disconnected);
+    expect(disconnected).toEqual(["shadow"]);
+  });
+});
@@ -0,0 +1,282 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+  await page.evaluate(async () => {
+    window.std = await import("/std.js");
+    window.events = [];
+    window.record = (event) => window.events.push([event.type, event.detail]);
+  });
+});
+
+test.describe("auto-size", () => {
+  test("should grow with its content up to the maximum height", async ({
+    page,
+  }) => {
+    const heights = await page.evaluate(() => {
+      document.body.innerHTML =
+        '<textarea auto-size="120" rows="1" style="line-height: 20px; padding: 0; border: 0"></textarea>';
+      customAttributes.define("auto-size", std.Autosize);
+      const textarea = document.querySelector("textarea");
+      const heights = [textarea.offsetHeight];
+      textarea.value = "1\n2\n3";
+      textarea.dispatchEvent(new Event("input"));
+      heights.push(textarea.offsetHeight);
+      textarea.value = "1\n2\n3\n4\n5\n6\n7\n8\n9\n10";
+      textarea.dispatchEvent(new Event("input"));
+      heights.push(textarea.offsetHeight, textarea.style.overflowY);
+      return heights;
+    });
+    expect(heights).toEqual([20, 60, 120, "auto"]);
+  });
+
+  test("should restore the inline height on disconnect", async ({ page }) => {
+    const height = await page.evaluate(async () => {
+      document.body.innerHTML =
+        '<textarea auto-size style="height: 42px"></textarea>';
+      customAttributes.define("auto-size", std.Autosize);
+      const textarea = document.querySelector("textarea");
+      textarea.removeAttribute("auto-size");
+      await new Promise((resolve) => setTimeout(resolve));
+      return textarea.style.height;
+    });
+    expect(height).toBe("42px");
+  });
+});
+
+test.describe("click-outside", () => {
+  test("should dispatch the named event for clicks outside", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      document.body.innerHTML =
+        '<nav click-outside="menu-close"><button id="inside">Inside</button></nav><button id="outside">Outside</button>';
+      customAttributes.define("click-outside", std.ClickOutside);
+      document
+        .querySelector("nav")
+        .addEventListener("menu-close", (event) =>
+          window.events.push([event.type, event.detail.target.id])
+        );
+    });
+    await page.click("#inside");
+    await page.click("#outside");
+    expect(await page.evaluate(() => window.events)).toEqual([
+      ["menu-close", "outside"],
+    ]);
+  });
+});
+
+test.describe("focus-trap", () => {
+  test.beforeEach(async ({ page }) => {
+    await page.evaluate(() => {
+      document.body.innerHTML = `
+        <button id="opener">Open</button>
+        <div focus-trap="false">
+          <button id="first">First</button>
+          <button id="last">Last</button>
+        </div>
+      `;
+      customAttributes.define("focus-trap", std.FocusTrap);
+      document.getElementById("opener").focus();
+    });
+  });
+
+  test("should keep focus inside while active", async ({ page }) => {
+    await page.evaluate(async () => {
+      document.querySelector("div").setAttribute("focus-trap", "");
+      await new Promise((resolve) => setTimeout(resolve));
+    });
+    const focused = () => page.evaluate(() => document.activeElement.id);
+    expect(await focused()).toBe("first");
+    await page.keyboard.press("Tab");
+    expect(await focused()).toBe("last");
+    await page.keyboard.press("Tab");
+    expect(await focused()).toBe("first");
+    await page.keyboard.press("Shift+Tab");
+    expect(await focused()).toBe("last");
+  });
+
+  test("should restore focus when deactivated", async ({ page }) => {
+    const focused = await page.evaluate(async () => {
+      const trap = document.querySelector("div");
+      trap.setAttribute("focus-trap", "");
+      await new Promise((resolve) => setTimeout(resolve));
+      trap.setAttribute("focus-trap", "false");
+      await new Promise((resolve) => setTimeout(resolve));
+      return document.activeElement.id;
+    });
+    expect(focused).toBe("opener");
+  });
+});
+
+test.describe("in-view", () => {
+  test("should dispatch enter and leave events and reflect visibility", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      document.body.innerHTML =
+        '<div style="height: 200vh"></div><section in-view style="height: 50px"></section>';
+      const section = document.querySelector("section");
+      section.addEventListener("intersect-enter", window.record);
+      section.addEventListener("intersect-leave", window.record);
+      customAttributes.define("in-view", std.Intersect);
+    });
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await expect
+      .poll(() => page.evaluate(() => window.events.map(([type]) => type)))
+      .toEqual(["intersect-enter"]);
+    expect(
+      await page.evaluate(() =>
+        document.querySelector("section").hasAttribute("in-view-visible")
+      )
+    ).toBe(true);
+
+    await page.evaluate(() => window.scrollTo(0, 0));
+    await expect
+      .poll(() => page.evaluate(() => window.events.map(([type]) => type)))
+      .toEqual(["intersect-enter", "intersect-leave"]);
+    expect(
+      await page.evaluate(() =>
+        document.querySelector("section").hasAttribute("in-view-visible")
+      )
+    ).toBe(false);
+  });
+});
+
+test.describe("copy-to-clipboard", () => {
+  test("should copy the value of the target element", async ({ page }) => {
+    await page.evaluate(() => {
+      Object.defineProperty(navigator, "clipboard", {
+        value: { writeText: async (text) => (window.clipboard = text) },
+      });
+      document.body.innerHTML =
+        '<input id="link" value="https://example.com/invite"><button copy-to-clipboard="#link">Copy</button>';
+      document
+        .querySelector("button")
+        .addEventListener("copied", window.record);
+      customAttributes.define("copy-to-clipboard", std.CopyToClipboard);
+    });
+    await page.click("button");
+    await expect
+      .poll(() => page.evaluate(() => window.clipboard))
+      .toBe("https://example.com/invite");
+    expect(await page.evaluate(() => window.events)).toEqual([
+      ["copied", "https://example.com/invite"],
+    ]);
+    expect(
+      await page.evaluate(() =>
+        document
+          .querySelector("button")
+          .hasAttribute("copy-to-clipboard-copied")
+      )
+    ).toBe(true);
+  });
+
+  test("should dispatch copy-error when writing fails", async ({ page }) => {
+    await page.evaluate(() => {
+      Object.defineProperty(navigator, "clipboard", {
+        value: {
+          writeText: async () => {
+            throw new Error("denied");
+          },
+        },
+      });
+      document.body.innerHTML = "<button copy-to-clipboard>Copy me</button>";
+      document
+        .querySelector("button")
+        .addEventListener("copy-error", (event) =>
+          window.events.push([event.type, event.detail.message])
+        );
+      customAttributes.define("copy-to-clipboard", std.CopyToClipboard);
+    });
+    await page.click("button");
+    await expect
+      .poll(() => page.evaluate(() => window.events))
+      .toEqual([["copy-error", "denied"]]);
+  });
+
+  test("should dispatch copy-error for an invalid selector", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      document.body.innerHTML = '<button copy-to-clipboard="#">Copy</button>';
+      document
+        .querySelector("button")
+        .addEventListener("copy-error", (event) =>
+          window.events.push([event.type, event.detail.name])
+        );
+      customAttributes.define("copy-to-clipboard", std.CopyToClipboard);
+    });
+    await page.click("button");
+    await expect
+      .poll(() => page.evaluate(() => window.events))
+      .toEqual([["copy-error", "SyntaxError"]]);
+  });
+});
+
+test.describe("lazy-src", () => {
+  test("should set src once the host gets close to the viewport", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      document.body.innerHTML =
+        '<div style="height: 300vh"></div><img lazy-src="/lazy.png" width="10" height="10" alt="">';
+      customAttributes.define("lazy-src", std.LazySrc);
+    });
+    await page.waitForTimeout(100);
+    expect(
+      await page.evaluate(() =>
+        document.querySelector("img").hasAttribute("src")
+      )
+    ).toBe(false);
+
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await expect
+      .poll(() =>
+        page.evaluate(() => document.querySelector("img").getAttribute("src"))
+      )
+      .toBe("/lazy.png");
+  });
+});
+
+test.describe("relative-time", () => {
+  test("should render the date relative to now and restore the text", async ({
+    page,
+  }) => {
+    const texts = await page.evaluate(async () => {
+      const date = new Date(Date.now() - 3 * 60 * 1000).toISOString();
+      document.body.innerHTML = `<time lang="en" relative-time="${date}">Original</time>`;
+      customAttributes.define("relative-time", std.RelativeTime);
+      const time = document.querySelector("time");
+      const texts = [time.textContent];
+      time.setAttribute(
+        "relative-time",
+        new Date(Date.now() + 26 * 60 * 60 * 1000).toISOString()
+      );
+      await new Promise((resolve) => setTimeout(resolve));
+      texts.push(time.textContent);
+      time.removeAttribute("relative-time");
+      await new Promise((resolve) => setTimeout(resolve));
+      texts.push(time.textContent);
+      return texts;
+    });
+    expect(texts).toEqual(["3 minutes ago", "tomorrow", "Original"]);
+  });
+});
+
+test.describe("debounced-input", () => {
+  test("should dispatch once typing has stopped", async ({ page }) => {
+    await page.evaluate(() => {
+      document.body.innerHTML = '<input debounced-input="100">';
+      document
+        .querySelector("input")
+        .addEventListener("debounced-input", window.record);
+      customAttributes.define("debounced-input", std.DebouncedInput);
+    });
+    await page.locator("input").pressSequentially("abc", { delay: 20 });
+    expect(await page.evaluate(() => window.events)).toEqual([]);
+    await expect
+      .poll(() => page.evaluate(() => window.events))
+      .toEqual([["debounced-input", "abc"]]);
+  });
+});
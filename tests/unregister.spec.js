@@ -0,0 +1,81 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+});
+
+test.describe("Unregistering a custom attribute", () => {
+  test("should call disconnectedCallback on every live instance", async ({
+    page,
+  }) => {
+    const disconnected = await page.evaluate(() => {
+      const disconnected = [];
+      const el = document.createElement("p");
+      el.setAttribute("testing-attribute", "second");
+      document.body.append(el);
+      class TestingAttribute extends CustomAttribute {
+        disconnectedCallback() {
+          disconnected.push(this.value);
+        }
+      }
+      registerAttribute("testing-attribute", TestingAttribute);
+      unregisterAttribute("testing-attribute");
+      return disconnected;
+    });
+    expect(disconnected).toEqual(["test", "second"]);
+  });
+
+  test("should stop observing the attribute", async ({ page }) => {
+    await page.evaluate(() => {
+      window.changed = false;
+      class TestingAttribute extends CustomAttribute {
+        changedCallback() {
+          window.changed = true;
+        }
+      }
+      registerAttribute("testing-attribute", TestingAttribute);
+      unregisterAttribute("testing-attribute");
+    });
+
+    await page
+      .getByTestId("el")
+      .evaluate((el) => el.setAttribute("testing-attribute", "changed"));
+
+    const changed = await page.evaluate(() => window.changed);
+    expect(changed).toBe(false);
+  });
+
+  test("should allow registering the name again", async ({ page }) => {
+    const connected = await page.evaluate(() => {
+      const connected = [];
+      class FirstAttribute extends CustomAttribute {
+        connectedCallback() {
+          connected.push("first");
+        }
+      }
+      class SecondAttribute extends CustomAttribute {
+        connectedCallback() {
+          connected.push("second");
+        }
+      }
+      registerAttribute("testing-attribute", FirstAttribute);
+      unregisterAttribute("testing-attribute");
+      registerAttribute("testing-attribute", SecondAttribute);
+      return connected;
+    });
+    expect(connected).toEqual(["first", "second"]);
+  });
+
+  test("should return whether the name was registered", async ({ page }) => {
+    const results = await page.evaluate(() => {
+      class TestingAttribute extends CustomAttribute {}
+      registerAttribute("testing-attribute", TestingAttribute);
+      return [
+        unregisterAttribute("testing-attribute"),
+        unregisterAttribute("testing-attribute"),
+        unregisterAttribute("unknown-attribute"),
+      ];
+    });
+    expect(results).toEqual([true, false, false]);
+  });
+});
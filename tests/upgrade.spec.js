@@ -0,0 +1,104 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+});
+
+/**
+ * Define "testing-attribute" with an upgrade strategy, recording connects in window.connected
+ */
+async function defineWithStrategy(page, upgrade) {
+  await page.evaluate((upgrade) => {
+    window.connected = [];
+    class TestingAttribute extends CustomAttribute {
+      connectedCallback(value) {
+        window.connected.push(value);
+      }
+    }
+    customAttributes.define("testing-attribute", TestingAttribute, {
+      upgrade,
+    });
+  }, upgrade);
+}
+
+test.describe("Upgrade strategies", () => {
+  test("should upgrade idle hosts once the browser is idle", async ({
+    page,
+  }) => {
+    await defineWithStrategy(page, "idle");
+    expect(await page.evaluate(() => window.connected)).toEqual([]);
+    await expect
+      .poll(() => page.evaluate(() => window.connected))
+      .toEqual(["test"]);
+  });
+
+  test("should upgrade visible hosts once they enter the viewport", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      const spacer = document.createElement("div");
+      spacer.style.height = "300vh";
+      const el = document.createElement("p");
+      el.setAttribute("testing-attribute", "below");
+      el.dataset.testid = "below";
+      document.body.append(spacer, el);
+    });
+    await defineWithStrategy(page, "visible");
+    await expect
+      .poll(() => page.evaluate(() => window.connected))
+      .toEqual(["test"]);
+
+    await page.getByTestId("below").scrollIntoViewIfNeeded();
+    await expect
+      .poll(() => page.evaluate(() => window.connected))
+      .toEqual(["test", "below"]);
+  });
+
+  test("should upgrade interaction hosts on the first pointer event", async ({
+    page,
+  }) => {
+    await defineWithStrategy(page, "interaction");
+    expect(await page.evaluate(() => window.connected)).toEqual([]);
+    await page.getByTestId("el").hover();
+    expect(await page.evaluate(() => window.connected)).toEqual(["test"]);
+  });
+
+  test("should upgrade media hosts once the query matches", async ({
+    page,
+  }) => {
+    await page.setViewportSize({ width: 400, height: 600 });
+    await defineWithStrategy(page, { media: "(min-width: 800px)" });
+    expect(await page.evaluate(() => window.connected)).toEqual([]);
+    await page.setViewportSize({ width: 1000, height: 600 });
+    await expect
+      .poll(() => page.evaluate(() => window.connected))
+      .toEqual(["test"]);
+  });
+
+  test("should cancel the upgrade when the host is removed before", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      window.calls = [];
+      class TestingAttribute extends CustomAttribute {
+        connectedCallback() {
+          window.calls.push("connected");
+        }
+        disconnectedCallback() {
+          window.calls.push("disconnected");
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute, {
+        upgrade: "interaction",
+      });
+    });
+    await page.getByTestId("el").evaluate((el) => {
+      el.remove();
+      return new Promise((resolve) => setTimeout(resolve));
+    });
+    await page.evaluate(() =>
+      document.body.dispatchEvent(new Event("pointerover"))
+    );
+    expect(await page.evaluate(() => window.calls)).toEqual([]);
+  });
+});
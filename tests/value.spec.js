@@ -0,0 +1,116 @@
+import { test, expect } from "@playwright/test";
+
+test.beforeEach(async ({ page }) => {
+  await page.goto("/");
+});
+
+test.describe("Typed attribute values", () => {
+  test("should parse values according to static type", async ({ page }) => {
+    const values = await page.evaluate(() => {
+      const values = {};
+      const el = document.createElement("p");
+      el.setAttribute("number-attribute", "4.5");
+      el.setAttribute("json-attribute", `{"placement":"top"}`);
+      el.setAttribute("boolean-attribute", "");
+      el.setAttribute("array-attribute", "one  two three");
+      document.body.append(el);
+
+      for (const [name, type] of [
+        ["number-attribute", Number],
+        ["json-attribute", JSON],
+        ["boolean-attribute", Boolean],
+        ["array-attribute", Array],
+      ]) {
+        customAttributes.define(
+          name,
+          class extends CustomAttribute {
+            static type = type;
+
+            connectedCallback(value) {
+              values[name] = value;
+            }
+          }
+        );
+      }
+      return values;
+    });
+    expect(values).toEqual({
+      "number-attribute": 4.5,
+      "json-attribute": { placement: "top" },
+      "boolean-attribute": true,
+      "array-attribute": ["one", "two", "three"],
+    });
+  });
+
+  test("should pass parsed values to changedCallback", async ({ page }) => {
+    await page.evaluate(() => {
+      window.changes = [];
+      class TestingAttribute extends CustomAttribute {
+        static type = {
+          fromAttribute: (value) => value.toUpperCase(),
+          toAttribute: (value) => value.toLowerCase(),
+        };
+
+        changedCallback(newValue, oldValue) {
+          window.changes.push([newValue, oldValue]);
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+    });
+
+    await page
+      .getByTestId("el")
+      .evaluate((el) => el.setAttribute("testing-attribute", "changed"));
+
+    const changes = await page.evaluate(() => window.changes);
+    expect(changes).toEqual([["CHANGED", "TEST"]]);
+  });
+
+  test("should serialize values written to the value setter", async ({
+    page,
+  }) => {
+    const attribute = await page.evaluate(() => {
+      let instance;
+      class TestingAttribute extends CustomAttribute {
+        static type = JSON;
+
+        connectedCallback() {
+          instance = this;
+        }
+      }
+      const el = document.createElement("p");
+      el.setAttribute("testing-json", "null");
+      document.body.append(el);
+      customAttributes.define("testing-json", TestingAttribute);
+      instance.value = { delay: 200 };
+      return el.getAttribute("testing-json");
+    });
+    expect(attribute).toBe(`{"delay":200}`);
+  });
+
+  test("should report values that can't be parsed to errorCallback", async ({
+    page,
+  }) => {
+    await page.evaluate(() => {
+      window.calls = [];
+      class TestingAttribute extends CustomAttribute {
+        static type = Number;
+
+        connectedCallback(value) {
+          window.calls.push(["connected", value]);
+        }
+
+        errorCallback(error) {
+          window.calls.push(["error", error.name]);
+        }
+      }
+      customAttributes.define("testing-attribute", TestingAttribute);
+    });
+
+    const calls = await page.evaluate(() => window.calls);
+    expect(calls).toEqual([
+      ["error", "TypeError"],
+      ["connected", undefined],
+    ]);
+  });
+});